@@ -107,6 +107,7 @@ define([
             this.pluginManager = new PluginManager({
                 runtime: this.runtime
             });
+            this.runtime.setPluginManager(this.pluginManager);
 
             this.addServices(this.services);
         }
@@ -1,7 +1,9 @@
 define([
-    'kb_lib/reactiveDb'
+    'kb_lib/reactiveDb',
+    'lib/routeTimings'
 ], (
-    reactiveDb
+    reactiveDb,
+    RouteTimings
 ) => {
 
     return class Runtime {
@@ -9,7 +11,10 @@ define([
             this.configProps = config;
             this.messenger = messenger;
             this.serviceManager = serviceManager;
+            this.pluginManager = null;
             this.globalDB = new reactiveDb.DB();
+            // Timings of route visits, aggregated per route; see RouteTimings.
+            this.routeTimings = new RouteTimings();
             this.featureSwitches = {};
             this.configProps.getItem('ui.featureSwitches.available', []).reduce((features, featureSwitch) => {
                 this.featureSwitches[featureSwitch.id] = featureSwitch;
@@ -30,6 +35,10 @@ define([
 
         setConfig(prop, value) {
             this.configProps.setItem(prop, value);
+            this.send('config', 'changed', {
+                path: prop,
+                value
+            });
         }
 
         rawConfig() {
@@ -126,6 +135,17 @@ define([
             this.send('app', 'navigate', path);
         }
 
+        // url
+        // Builds the url for a named route; throws if a required param is missing.
+        url(name, params, query) {
+            return this.service('route').url(name, params, query);
+        }
+
+        // The plugin manager is created after, and with, the runtime.
+        setPluginManager(pluginManager) {
+            this.pluginManager = pluginManager;
+        }
+
         db() {
             return this.globalDB;
         }
@@ -0,0 +1,198 @@
+define([
+    'lib/instrumentation'
+], (
+    instrumentation
+) => {
+
+    // How long the error notification is shown, in ms.
+    const NOTIFICATION_AUTODISMISS = 10000;
+
+    // The number of distinct errors kept, by default.
+    const DEFAULT_BUFFER_SIZE = 100;
+
+    function normalizeError(error) {
+        if (error instanceof Error) {
+            return {
+                name: error.name,
+                message: error.message || String(error),
+                stack: error.stack || null
+            };
+        }
+        if (error && typeof error === 'object' && error.message) {
+            return {
+                name: error.name || 'Error',
+                message: String(error.message),
+                stack: error.stack || null
+            };
+        }
+        return {
+            name: 'Error',
+            message: String(error),
+            stack: null
+        };
+    }
+
+    // Errors with the same source, message and throw site are considered the
+    // same error.
+    function fingerprint(source, {message, stack}) {
+        const site = stack ? stack.split('\n').find((line) => {
+            return /:\d+/.test(line);
+        }) : null;
+        return [source, message, site ? site.trim() : ''].join('|');
+    }
+
+    /*
+     * Captures errors which would otherwise go unnoticed: uncaught errors,
+     * unhandled promise rejections (native and bluebird), exceptions thrown by
+     * message handlers, and errors reported by other parts of the ui via
+     * report, such as iframe plugins which fail to start.
+     *
+     * Each distinct error is reported once, with the context in which it
+     * occurred, to the instrumentation service and to the reporting endpoint
+     * configured as "reporting.url", if any; and the user is shown a
+     * notification. Repeats of an error are only counted. The username is
+     * sent only to the reporting endpoint, as instrumentation events may go
+     * to third parties.
+     *
+     * The most recent "bufferSize" distinct errors are kept; an error which
+     * recurs after being dropped is reported afresh.
+     */
+    class ErrorService {
+        constructor({config, params: {runtime}}) {
+            this.runtime = runtime;
+            const reporting = (config && config.reporting) || {};
+            this.reportingSink = reporting.url ? new instrumentation.HttpSink({url: reporting.url}) : null;
+            this.bufferSize = (config && config.bufferSize) || DEFAULT_BUFFER_SIZE;
+            // fingerprint -> error report, oldest first
+            this.reports = new Map();
+
+            this.onError = (event) => {
+                this.report(event.error || event.message, {source: 'uncaught'});
+            };
+            this.onUnhandledRejection = (event) => {
+                // Bluebird dispatches its own event, with the reason in the detail.
+                const reason = 'reason' in event ? event.reason : (event.detail && event.detail.reason);
+                this.report(reason, {source: 'unhandled-rejection'});
+            };
+        }
+
+        context() {
+            const context = {
+                route: null,
+                plugin: null,
+                username: null,
+                commit: this.runtime.config('buildInfo.git.commitHash', null)
+            };
+            try {
+                Object.assign(context, this.runtime.service('route').currentRoute());
+                const session = this.runtime.service('session');
+                if (session.isLoggedIn()) {
+                    context.username = session.getUsername();
+                }
+            } catch (ex) {
+                // The services may not be available yet, or any longer.
+            }
+            return context;
+        }
+
+        /*
+         * Reports an error, which may be an Error or a message. The source
+         * describes how the error was captured; the plugin, if given, takes
+         * precedence over that of the current route. A notification is shown
+         * unless notify is false, e.g. because the error is already displayed.
+         */
+        report(error, {source, plugin, detail, notify} = {}) {
+            source = source || 'reported';
+            const normalized = normalizeError(error);
+            const key = fingerprint(source, normalized);
+            const existing = this.reports.get(key);
+            if (existing) {
+                existing.count += 1;
+                existing.lastAt = Date.now();
+                return existing;
+            }
+
+            const context = this.context();
+            if (plugin) {
+                context.plugin = plugin;
+            }
+            const report = Object.assign({
+                source,
+                count: 1,
+                at: Date.now(),
+                lastAt: Date.now(),
+                detail: detail || null
+            }, normalized, context);
+            this.reports.set(key, report);
+            if (this.reports.size > this.bufferSize) {
+                this.reports.delete(this.reports.keys().next().value);
+            }
+
+            this.forward(report);
+            if (notify !== false) {
+                this.notify(report);
+            }
+            return report;
+        }
+
+        forward(report) {
+            this.runtime.service('instrumentation').send({
+                type: 'error',
+                source: report.source,
+                message: report.message,
+                plugin: report.plugin,
+                detail: {
+                    name: report.name,
+                    stack: report.stack,
+                    route: report.route,
+                    commit: report.commit,
+                    detail: report.detail
+                }
+            });
+            if (this.reportingSink) {
+                this.reportingSink.send([report], {beacon: false});
+            }
+        }
+
+        notify(report) {
+            this.runtime.send('notification', 'notify', {
+                type: 'error',
+                id: 'error',
+                icon: 'exclamation-triangle',
+                message: 'An error occurred' + (report.plugin ? ` in the "${report.plugin}" plugin` : ''),
+                description: report.message,
+                autodismiss: NOTIFICATION_AUTODISMISS
+            });
+        }
+
+        // The errors reported so far, each with its count.
+        list() {
+            return Array.from(this.reports.values());
+        }
+
+        // API
+
+        start() {
+            window.addEventListener('error', this.onError);
+            window.addEventListener('unhandledrejection', this.onUnhandledRejection);
+            this.runtime.messenger.onHandlerError((ex, {channel, message}) => {
+                this.report(ex, {
+                    source: 'message-handler',
+                    detail: {channel, message}
+                });
+            });
+            return Promise.resolve();
+        }
+
+        stop() {
+            window.removeEventListener('error', this.onError);
+            window.removeEventListener('unhandledrejection', this.onUnhandledRejection);
+            return Promise.resolve();
+        }
+
+        pluginHandler() {
+        }
+    }
+
+    return {ServiceClass: ErrorService};
+});
@@ -1,23 +1,79 @@
 define([
+    'lib/instrumentation'
 ], function (
+    instrumentation
 ) {
 
+    /*
+     * Records instrumentation events (see lib/instrumentation for the event
+     * types) and sends them in batches to the sinks enabled in the service
+     * config:
+     *
+     *   sampleRate: the fraction of sessions recorded, 0 to 1
+     *   batchSize, flushInterval (ms), bufferSize: see Instrumentation
+     *   sinks:
+     *     console: true to log events
+     *     http: {url} to POST events to, from the deploy config
+     *     gtag: true to also send events, without their identifying
+     *       properties, to Google Analytics; see GtagSink
+     *
+     * Pending events are flushed when the page is hidden, since it may not
+     * be shown again.
+     */
     class InstrumentationService {
-        constructor() {
+        constructor({config}) {
+            const {sampleRate, batchSize, flushInterval, bufferSize, sinks} = config || {};
+            this.instrumentation = new instrumentation.Instrumentation({
+                sinks: this.makeSinks(sinks || {}),
+                sampleRate, batchSize, flushInterval, bufferSize
+            });
+            this.onHidden = () => {
+                if (document.visibilityState === 'hidden') {
+                    this.instrumentation.flush({beacon: true});
+                }
+            };
+            this.onPageHide = () => {
+                this.instrumentation.flush({beacon: true});
+            };
+        }
+
+        makeSinks(config) {
+            const sinks = [];
+            if (config.console) {
+                sinks.push(new instrumentation.ConsoleSink());
+            }
+            if (config.http && config.http.url) {
+                sinks.push(new instrumentation.HttpSink({url: config.http.url}));
+            }
+            if (config.gtag) {
+                sinks.push(new instrumentation.GtagSink());
+            }
+            return sinks;
         }
 
         // METHODS
-        send(instrumentation) {
-            console.warn('[instrumentation]', instrumentation);
+        send(event) {
+            return this.instrumentation.record(event);
+        }
+
+        // The most recently recorded events, oldest first.
+        recent() {
+            return this.instrumentation.recent();
         }
 
         // API
 
         start() {
+            this.instrumentation.start();
+            document.addEventListener('visibilitychange', this.onHidden);
+            window.addEventListener('pagehide', this.onPageHide);
             return Promise.resolve();
         }
 
         stop() {
+            document.removeEventListener('visibilitychange', this.onHidden);
+            window.removeEventListener('pagehide', this.onPageHide);
+            this.instrumentation.stop();
             return Promise.resolve();
         }
 
@@ -1,7 +1,8 @@
 define(['bluebird', 'kb_lib/observed'], (Promise, Observed) => {
 
     return class Menu {
-        constructor({config: {menus}}) {
+        constructor({config: {menus}, params: {runtime}}) {
+            this.runtime = runtime;
             this.menus = menus;
             this.state = new Observed();
 
@@ -59,7 +60,12 @@ define(['bluebird', 'kb_lib/observed'], (Promise, Observed) => {
             }
 
             let path;
-            if (menuItemDef.path) {
+            if (menuItemDef.route) {
+                // A menu item may refer to a named route rather than a path,
+                // either by name alone or as {name, params, query}.
+                const route = typeof menuItemDef.route === 'string' ? {name: menuItemDef.route} : menuItemDef.route;
+                path = this.runtime.service('route').pathFor(route.name, route.params, route.query);
+            } else if (menuItemDef.path) {
                 if (typeof menuItemDef.path === 'string') {
                     path = menuItemDef.path;
                 } else if (menuItemDef.path instanceof Array) {
@@ -122,7 +128,7 @@ define(['bluebird', 'kb_lib/observed'], (Promise, Observed) => {
                     // TODO: maybe just store the whole menu from
                     // the plugin config?
                     menu.id = menu.name;
-                    if (serviceConfig.mode === 'auto') {
+                    if (serviceConfig.mode === 'auto' && menu.path) {
                         menu.path.unshift(pluginDef.package.name);
                     }
                     this.addMenuItem(menu.name, menu.definition || menu);
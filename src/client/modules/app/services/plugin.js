@@ -0,0 +1,101 @@
+define([
+    'bluebird',
+    'lib/router'
+], (
+    Promise,
+    router
+) => {
+
+    // The number of plugin iframes kept alive, by default.
+    const DEFAULT_KEEP_ALIVE_LIMIT = 3;
+
+    /*
+     * The plugin service exposes the registry of plugins maintained by the
+     * plugin manager, as well as loading of lazy plugins. Plugin entries are
+     * copies, so may be used freely by the caller.
+     */
+    class PluginService {
+        constructor({config, params: {runtime}}) {
+            this.runtime = runtime;
+            const keepAlive = (config && config.keepAlive) || {};
+            this.keepAliveLimit = typeof keepAlive.limit === 'number' ? keepAlive.limit : DEFAULT_KEEP_ALIVE_LIMIT;
+        }
+
+        get pluginManager() {
+            // The plugin manager is created after the services, and attached
+            // to the runtime by the app.
+            return this.runtime.pluginManager;
+        }
+
+        // The routes installed by a plugin, with a link for those which have no
+        // params.
+        pluginRoutes(pluginName) {
+            const route = this.runtime.service('route');
+            return route.pluginRoutes(pluginName).map((pluginRoute) => {
+                const isLiteral = pluginRoute.path.every((element) => {
+                    return element.type === 'literal';
+                });
+                return {
+                    name: pluginRoute.name || null,
+                    path: router.describePath(pluginRoute.path),
+                    href: isLiteral ? route.makeHref(pluginRoute.path.map((element) => {
+                        return element.value;
+                    })) : null
+                };
+            });
+        }
+
+        getPlugin(pluginName) {
+            const plugin = this.pluginManager.getPlugin(pluginName);
+            if (!plugin) {
+                return null;
+            }
+            return Object.assign({}, plugin, {
+                routes: this.pluginRoutes(pluginName)
+            });
+        }
+
+        listPlugins() {
+            return this.pluginManager.listPlugins().map(({name}) => {
+                return this.getPlugin(name);
+            });
+        }
+
+        // Whether the iframe of the plugin should be kept alive, hidden, when
+        // navigating away from it; see Body.
+        isKeepAlive(pluginName) {
+            const plugin = this.pluginManager.getPlugin(pluginName);
+            return plugin ? plugin.keepAlive && this.keepAliveLimit > 0 : false;
+        }
+
+        isLoaded(pluginName) {
+            return this.pluginManager.isPluginLoaded(pluginName);
+        }
+
+        // Ensures that a lazily loaded plugin is fully installed; see PluginManager.
+        load(pluginName) {
+            return this.pluginManager.ensurePluginLoaded(pluginName);
+        }
+
+        // The failure of a plugin which could not be installed or loaded, if any.
+        getFailure(pluginName) {
+            return this.pluginManager.getPluginFailure(pluginName);
+        }
+
+        listFailures() {
+            return this.pluginManager.listPluginFailures();
+        }
+
+        // API
+
+        start() {
+            return Promise.resolve();
+        }
+
+        stop() {
+            return Promise.resolve();
+        }
+    }
+
+    return {ServiceClass: PluginService};
+});
@@ -6,17 +6,171 @@ define([
     routerMod
 ) {
 
+    /*
+     * Built-in route guards.
+     * A guard is a function which receives {runtime, handler, params} and
+     * returns, or resolves to, a result object. A result with "allowed" true
+     * lets routing proceed; otherwise the result may provide a "redirect"
+     * location to navigate to, or a "reason" ({code, message}) which is
+     * displayed in the error page.
+     */
+    const BUILTIN_GUARDS = {
+        // Ensure that the user is authenticated. If not, route to the login
+        // path with the current request encoded as "nextrequest". This ensures
+        // that we can close the loop for accessing auth-required endpoints.
+        authorization: ({runtime, handler}) => {
+            if (runtime.service('session').isAuthenticated()) {
+                return {allowed: true};
+            }
+            const loginParams = {
+                source: 'authorization'
+            };
+            if (handler.request.path) {
+                loginParams.nextrequest = JSON.stringify(handler.request);
+            }
+            return {
+                allowed: false,
+                redirect: {
+                    path: 'login',
+                    params: loginParams
+                }
+            };
+        },
+        // Require that the user have at least one of the given auth roles.
+        roles: ({runtime, params: {roles}}) => {
+            const userRoles = runtime.service('session').getRoles();
+            const allowed = userRoles.some((role) => {
+                return roles.includes(role.id);
+            });
+            if (allowed) {
+                return {allowed: true};
+            }
+            return {
+                allowed: false,
+                reason: {
+                    code: 'roles-required',
+                    message: 'One or more required roles not available in your account: ' + roles.join(', ')
+                }
+            };
+        },
+        // Require that the user have at least one of the given custom roles.
+        customRoles: ({runtime, params: {roles}}) => {
+            const userRoles = runtime.service('session').getCustomRoles();
+            const allowed = userRoles.some((role) => {
+                return roles.includes(role);
+            });
+            if (allowed) {
+                return {allowed: true};
+            }
+            return {
+                allowed: false,
+                reason: {
+                    code: 'custom-roles-required',
+                    message: 'One or more required custom roles not available in your account: ' + roles.join(', ')
+                }
+            };
+        },
+        // Require that a feature switch be enabled.
+        featureSwitch: ({runtime, params: {id}}) => {
+            if (runtime.featureEnabled(id)) {
+                return {allowed: true};
+            }
+            return {
+                allowed: false,
+                reason: {
+                    code: 'feature-disabled',
+                    message: `The feature "${id}" is not enabled`
+                }
+            };
+        }
+    };
+
+    /*
+     * A registry of named route extensions -- guards or resolvers.
+     * An extension is either a function provided directly, or an AMD module,
+     * registered by a plugin, which is loaded the first time it is used and
+     * whose value is the function.
+     */
+    class RouteExtensionRegistry {
+        constructor(kind) {
+            this.kind = kind;
+            this.extensions = {};
+        }
+
+        register(name, {fun, module, pluginName}) {
+            if (this.extensions[name]) {
+                const existing = this.extensions[name].pluginName || 'kbase-ui';
+                throw new Error(`The route ${this.kind} "${name}" is already registered by "${existing}"`);
+            }
+            this.extensions[name] = {fun, module, pluginName};
+        }
+
+        load(name) {
+            const extension = this.extensions[name];
+            if (!extension) {
+                return Promise.reject(new Error(`The route ${this.kind} "${name}" is not registered`));
+            }
+            if (extension.fun) {
+                return Promise.resolve(extension.fun);
+            }
+            return new Promise((resolve, reject) => {
+                require([extension.module], (fun) => {
+                    if (typeof fun !== 'function') {
+                        reject(new Error(`The route ${this.kind} module "${extension.module}" is not a function`));
+                        return;
+                    }
+                    extension.fun = fun;
+                    resolve(fun);
+                }, (err) => {
+                    reject(err);
+                });
+            });
+        }
+    }
+
+    class PluginLoadError extends Error {
+        constructor(pluginName, original) {
+            super(original && original.message ? original.message : String(original));
+            this.pluginName = pluginName;
+            this.original = original;
+            this.name = 'PluginLoadError';
+        }
+    }
+
     class RouteService {
         constructor(p) {
             const {config, params} = p;
             this.runtime = params.runtime;
             this.router = new routerMod.Router({...config, runtime: params.runtime});
             this.currentRouteHandler = null;
+            this.routeSerial = 0;
             this.receivers = [];
             this.eventListeners = [];
+
+            this.guards = new RouteExtensionRegistry('guard');
+            Object.entries(BUILTIN_GUARDS).forEach(([name, guard]) => {
+                this.guards.register(name, {fun: guard});
+            });
+            this.resolvers = new RouteExtensionRegistry('resolver');
+        }
+
+        // Identifies the route of a route handler, e.g. for timing and error
+        // reports.
+        describeRoute(handler) {
+            const route = handler.route;
+            if (route.name) {
+                return route.name;
+            }
+            if (route.path) {
+                return routerMod.describePath(route.path);
+            }
+            return route.component || '(unknown)';
         }
 
         doRoute() {
+            const timings = this.runtime.routeTimings;
+            const visit = timings.beginVisit();
+            const routeSpan = timings.start('route');
             let handler;
             try {
                 handler = this.router.findCurrentRoute();
@@ -29,7 +183,8 @@ define([
                         params: {
                             request: ex.request,
                             original: ex.original,
-                            path: ex.path
+                            path: ex.path,
+                            validationErrors: ex.validationErrors
                         },
                         route: {
                             authorization: false,
@@ -37,70 +192,135 @@ define([
                         }
                     };
                 } else {
+                    timings.discard(routeSpan);
                     throw ex;
                 }
             }
 
+            timings.setRoute(visit, this.describeRoute(handler));
             this.runtime.send('route', 'routing', handler);
             this.currentRouteHandler = handler;
 
-            // Ensure that if authorization is enabled for this route, that we have it.
-            // If not, route to the login path with the current path encoded as
-            // "nextrequest". This ensures that we can close the loop for accessing
-            // auth-required endpoints.
-            if (handler.route.authorization) {
-                if (!this.runtime.service('session').isAuthenticated()) {
-                    const loginParams = {
-                        source: 'authorization'
-                    };
-                    if (handler.request.path) {
-                        loginParams.nextrequest = JSON.stringify(handler.request);
+            // Guards and resolvers are async, so a newer route request may
+            // arrive before they complete; a superseded route is simply dropped.
+            this.routeSerial += 1;
+            const serial = this.routeSerial;
+            const isCurrent = () => {
+                return serial === this.routeSerial;
+            };
+
+            return this.loadRoutePlugin(handler)
+                .then(() => {
+                    if (!isCurrent()) {
+                        return [];
                     }
-                    // TODO refactor-expt: here is where SOMETHING needs to listen for the login event.
-                    // This is where we can hook in.
-                    this.runtime.send('app', 'navigate', {
-                        path: 'login',
-                        // path: runtime.feature('auth', 'paths.login'),
-                        // TODO: path needs to be the path + params
-                        params: loginParams
+                    return this.runGuards(handler);
+                })
+                .then((failures) => {
+                    if (!isCurrent()) {
+                        return;
+                    }
+                    const redirect = failures.find((failure) => {
+                        return failure.redirect;
                     });
-                    return;
-                }
-            }
-
-            // We can also require that the route match at least one role defined in a list.
-            if (handler.route.rolesRequired) {
-                const roles = this.runtime.service('session').getRoles();
-                if (
-                    !roles.some((role) => {
-                        return handler.route.rolesRequired.some((requiredRole) => {
-                            return requiredRole === role.id;
+                    if (redirect) {
+                        this.runtime.send('app', 'navigate', redirect.redirect);
+                        return;
+                    }
+                    if (failures.length > 0) {
+                        return this.dispatchRoute(this.makeGuardErrorHandler(handler, failures));
+                    }
+                    return this.runResolvers(handler)
+                        .then((resolved) => {
+                            if (!isCurrent()) {
+                                return;
+                            }
+                            handler.resolved = resolved;
+                            this.dispatchRoute(handler);
+                            this.runtime.service('instrumentation').send({
+                                type: 'route-timing',
+                                route: handler.route.name || null,
+                                plugin: handler.route.pluginName || null,
+                                duration: timings.end(routeSpan)
+                            });
+                        })
+                        .catch((err) => {
+                            if (!isCurrent()) {
+                                return;
+                            }
+                            console.error('Error resolving route data', err);
+                            this.dispatchRoute(this.makeErrorHandler({
+                                title: 'Error Loading Page',
+                                message: 'An error was encountered loading data for this page',
+                                reasons: [{
+                                    code: 'resolver-error',
+                                    message: err.message
+                                }]
+                            }));
                         });
-                    })
-                ) {
-                    handler = {
-                        params: {
-                            title: 'Access Error',
-                            message:
-                                'One or more required roles not available in your account: ' +
-                                handler.route.rolesRequired.join(', ')
-                        },
-                        route: {
-                            authorization: false,
-                            component: 'reactComponents/Error'
-                        }
-                    };
-                    // throw new Error('One or more required roles not available in your account: ' + handler.route.requiredRoles.join(', '));
-                    // throw new lang.UIError({
-                    //     type: 'ConfiguratonError',
-                    //     name: 'RouterConfigurationError',
-                    //     source: 'installRoute',
-                    //     message: 'invalid route',
-                    //     suggestion: 'Fix the plugin which specified this route.',
-                    //     data: route
-                    // });
-                }
+                })
+                .catch((err) => {
+                    if (!(err instanceof PluginLoadError)) {
+                        console.error('Error routing', err);
+                        return;
+                    }
+                    if (!isCurrent()) {
+                        return;
+                    }
+                    this.dispatchRoute(this.makeErrorHandler({
+                        title: 'Error Loading Plugin',
+                        message: `The "${err.pluginName}" plugin could not be loaded, so this page is not available`,
+                        reasons: [{
+                            code: 'plugin-load-error',
+                            message: err.message
+                        }]
+                    }));
+                })
+                .finally(() => {
+                    // Only a route dispatched with its resolved data is timed; one
+                    // which was redirected, failed or superseded is not.
+                    timings.discard(routeSpan);
+                });
+        }
+
+        /*
+         * A route provided by a lazy plugin is available before the plugin
+         * itself is loaded; the plugin is loaded on the first visit to any of
+         * its routes, with the body showing a loading state meanwhile.
+         */
+        loadRoutePlugin(handler) {
+            const pluginName = handler.route.pluginName;
+            if (!pluginName) {
+                return Promise.resolve();
+            }
+            // The routes of a plugin which failed remain, to explain the failure.
+            const plugins = this.runtime.service('plugin');
+            const failure = plugins.getFailure(pluginName);
+            if (failure) {
+                return Promise.reject(new PluginLoadError(pluginName, failure.error));
+            }
+            if (plugins.isLoaded(pluginName)) {
+                return Promise.resolve();
             }
+            this.runtime.send('app', 'plugin-loading', {pluginName});
+            return Promise.resolve(plugins.load(pluginName))
+                .then(() => {
+                    const {loadDuration} = plugins.getPlugin(pluginName);
+                    if (typeof loadDuration === 'number') {
+                        this.runtime.service('instrumentation').send({
+                            type: 'plugin-load',
+                            plugin: pluginName,
+                            phase: 'install',
+                            duration: loadDuration
+                        });
+                    }
+                })
+                .catch((err) => {
+                    throw new PluginLoadError(pluginName, err);
+                });
+        }
+
+        dispatchRoute(handler) {
             const route = {
                 routeHandler: handler
             };
@@ -115,6 +335,148 @@ define([
             }
         }
 
+        makeErrorHandler(params) {
+            return {
+                params,
+                route: {
+                    authorization: false,
+                    component: '/reactComponents/Error'
+                }
+            };
+        }
+
+        makeGuardErrorHandler(handler, failures) {
+            return this.makeErrorHandler({
+                title: 'Access Error',
+                message: 'You do not have access to this page',
+                path: handler.request ? handler.request.path : null,
+                reasons: failures.map(({guard, reason}) => {
+                    return Object.assign({guard}, reason);
+                })
+            });
+        }
+
+        // GUARDS
+
+        /*
+         * The guards to run for a route, in order. The original "authorization"
+         * and "rolesRequired" route properties are honored first, followed by
+         * any guards declared in the route's "guards" list.
+         * A guard is declared either as just its name, or as {name, params}.
+         */
+        routeGuards(route) {
+            const guards = [];
+            if (route.authorization) {
+                guards.push({name: 'authorization', params: {}});
+            }
+            if (route.rolesRequired) {
+                guards.push({name: 'roles', params: {roles: route.rolesRequired}});
+            }
+            (route.guards || []).forEach((guard) => {
+                if (typeof guard === 'string') {
+                    guards.push({name: guard, params: {}});
+                } else {
+                    guards.push({name: guard.name, params: guard.params || {}});
+                }
+            });
+            return guards;
+        }
+
+        /*
+         * Runs all of a route's guards in sequence, resolving to the list of
+         * failures. A failure which redirects stops any further guards from
+         * being evaluated.
+         * A guard which throws is treated as a failure; guards fail closed.
+         */
+        runGuards(handler) {
+            const failures = [];
+            return Promise.each(this.routeGuards(handler.route), ({name, params}) => {
+                if (failures.some((failure) => {
+                    return failure.redirect;
+                })) {
+                    return;
+                }
+                return this.guards.load(name)
+                    .then((guard) => {
+                        return guard({runtime: this.runtime, handler, params});
+                    })
+                    .then((result) => {
+                        if (!result || result.allowed) {
+                            return;
+                        }
+                        failures.push({
+                            guard: name,
+                            redirect: result.redirect,
+                            reason: result.reason || {
+                                code: 'guard-failed',
+                                message: `The "${name}" check did not pass`
+                            }
+                        });
+                    })
+                    .catch((err) => {
+                        console.error(`Error running route guard "${name}"`, err);
+                        failures.push({
+                            guard: name,
+                            reason: {
+                                code: 'guard-error',
+                                message: err.message
+                            }
+                        });
+                    });
+            })
+                .then(() => {
+                    return failures;
+                });
+        }
+
+        // RESOLVERS
+
+        /*
+         * Runs the route's resolvers, which are declared in the route's
+         * "resolve" map, keyed by the property the resolved value is provided
+         * as. Each resolver is declared as either its name, or as {name, params}.
+         * All resolvers run concurrently.
+         */
+        runResolvers(handler) {
+            const resolve = handler.route.resolve;
+            if (!resolve) {
+                return Promise.resolve({});
+            }
+            return Promise.props(Object.keys(resolve).reduce((resolving, key) => {
+                const spec = typeof resolve[key] === 'string' ? {name: resolve[key]} : resolve[key];
+                resolving[key] = this.resolvers.load(spec.name)
+                    .then((resolver) => {
+                        return resolver({runtime: this.runtime, handler, params: spec.params || {}});
+                    });
+                return resolving;
+            }, {}));
+        }
+
+        handleLinkClick(ev) {
+            if (ev.defaultPrevented || ev.button !== 0 ||
+                ev.metaKey || ev.ctrlKey || ev.shiftKey || ev.altKey) {
+                return;
+            }
+            const anchor = ev.target.closest ? ev.target.closest('a[href]') : null;
+            if (!anchor || anchor.hasAttribute('download') ||
+                (anchor.target && anchor.target !== '_self')) {
+                return;
+            }
+            // Fragment-only links are document anchors, or legacy hash paths which
+            // are picked up by the hashchange listener.
+            if (anchor.getAttribute('href').charAt(0) === '#') {
+                return;
+            }
+            const url = new URL(anchor.href, window.location.toString());
+            if (!this.router.isRoutable(url)) {
+                return;
+            }
+            ev.preventDefault();
+            window.history.pushState(null, '', url.toString());
+            this.router.rewriteLegacyHash();
+            this.doRoute();
+        }
+
         installRoute(route, options) {
 
             if (route.component) {
@@ -136,12 +498,35 @@ define([
             });
         }
 
+        /*
+         * Plugins may provide their own guards and resolvers, as a map of name
+         * to the module implementing it. The module path is relative to the
+         * plugin's modules directory, and so is only available to legacy plugins.
+         */
+        registerExtensions(registry, extensions, pluginConfig, pluginName) {
+            if (!extensions) {
+                return;
+            }
+            if (!pluginConfig.moduleRoot) {
+                throw new Error(`Plugin "${pluginName}" cannot register route ${registry.kind}s; it has no modules`);
+            }
+            Object.entries(extensions).forEach(([name, module]) => {
+                registry.register(name, {
+                    module: pluginConfig.moduleRoot + '/' + module,
+                    pluginName
+                });
+            });
+        }
+
         pluginHandler(serviceConfig, pluginConfig, pluginDef) {
             return new Promise((resolve, reject) => {
                 try {
                     // We now have service config defaults, at least for routes.
                     const defaults = serviceConfig.defaults || {};
 
+                    this.registerExtensions(this.guards, serviceConfig.guards, pluginConfig, pluginDef.package.name);
+                    this.registerExtensions(this.resolvers, serviceConfig.resolvers, pluginConfig, pluginDef.package.name);
+
                     // Install all the routes
                     this.installRoutes(serviceConfig.routes || serviceConfig, {
                         pluginName: pluginDef.package.name,
@@ -178,6 +563,7 @@ define([
             });
 
             this.runtime.receive('app', 'navigate', (data) => {
+                this.runtime.routeTimings.navigate();
                 this.router.navigateTo(data);
             });
 
@@ -185,13 +571,44 @@ define([
                 this.router.redirectTo(data.url, data.new_window || data.newWindow);
             });
 
-            this.eventListeners.push({
-                target: window,
-                type: 'hashchange',
-                listener: () => {
-                    this.doRoute();
-                }
-            });
+            if (this.router.isPathMode()) {
+                // Legacy hash urls, whether loaded or followed from a link at the
+                // root, are rewritten to their path equivalent.
+                this.router.rewriteLegacyHash();
+                this.eventListeners.push({
+                    target: window,
+                    type: 'popstate',
+                    listener: () => {
+                        this.doRoute();
+                    }
+                });
+                this.eventListeners.push({
+                    target: window,
+                    type: 'hashchange',
+                    listener: () => {
+                        if (this.router.rewriteLegacyHash()) {
+                            this.doRoute();
+                        }
+                    }
+                });
+                // Plain links to ui paths are routed in place rather than
+                // reloading the page.
+                this.eventListeners.push({
+                    target: document,
+                    type: 'click',
+                    listener: (ev) => {
+                        this.handleLinkClick(ev);
+                    }
+                });
+            } else {
+                this.eventListeners.push({
+                    target: window,
+                    type: 'hashchange',
+                    listener: () => {
+                        this.doRoute();
+                    }
+                });
+            }
             this.eventListeners.forEach((listener) => {
                 listener.target.addEventListener(listener.type, listener.listener);
             });
@@ -210,6 +627,51 @@ define([
             return Promise.resolve();
         }
 
+        // Reverse routing; see Router.buildLocation.
+
+        pathFor(name, params, query) {
+            return this.router.pathFor(name, params, query);
+        }
+
+        url(name, params, query) {
+            return this.router.url(name, params, query);
+        }
+
+        // Ambiguous routes detected at install time; see Router.detectConflicts.
+        listConflicts() {
+            return this.router.listConflicts();
+        }
+
+        pluginRoutes(pluginName) {
+            return this.router.routes.filter((route) => {
+                return route.pluginName === pluginName;
+            });
+        }
+
+        hasPluginRoutes(pluginName) {
+            return this.pluginRoutes(pluginName).length > 0;
+        }
+
+        isPathMode() {
+            return this.router.isPathMode();
+        }
+
+        // Creates an href for a ui path appropriate to the routing mode.
+        makeHref(path) {
+            return this.router.makeHref(path);
+        }
+
+        // The route and plugin of the current route, if any.
+        currentRoute() {
+            if (!this.currentRouteHandler) {
+                return null;
+            }
+            return {
+                route: this.describeRoute(this.currentRouteHandler),
+                plugin: this.currentRouteHandler.route.pluginName || null
+            };
+        }
+
         isAuthRequired() {
             if (!this.currentRouteHandler) {
                 return false;
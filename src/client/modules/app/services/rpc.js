@@ -5,7 +5,7 @@ define([
 ) {
 
     return class RPC {
-        constructor({runtime}) {
+        constructor({params: {runtime}}) {
             this.runtime = runtime;
         }
         start() {
@@ -1,16 +1,42 @@
 define([
+    'preact',
+    'htm',
     'kb_ts/Auth2Session',
     'kb_lib/observed',
-    'kb_lib/html'
+    'kb_lib/html',
+    'reactComponents/SessionExpiring'
 ], (
+    preact,
+    htm,
     {Auth2Session},
     Observed,
-    html
+    html,
+    SessionExpiring
 ) => {
     const t = html.tag,
         div = t('div'),
         p = t('p'),
         a = t('a');
+    const {h} = preact;
+    const preactHtml = htm.bind(h);
+
+    // The notification for the session expiry warning.
+    const EXPIRING_NOTIFICATION_ID = 'session-expiring';
+
+    const SIGNIN_WINDOW_FEATURES = 'width=720,height=720';
+
+    // The notification for the clock skew warning.
+    const CLOCK_SKEW_NOTIFICATION_ID = 'clock-skew';
+
+    function formatSkew(skew) {
+        if (skew >= 3600000) {
+            return `${Math.round(skew / 3600000)} hour(s)`;
+        }
+        if (skew >= 60000) {
+            return `${Math.round(skew / 60000)} minute(s)`;
+        }
+        return `${Math.round(skew / 1000)} second(s)`;
+    }
 
     class SessionService {
         constructor({ config, params: { runtime } }) {
@@ -26,10 +52,28 @@ define([
                 cookieName: runtime.config('ui.services.session.cookie.name'),
                 extraCookies: this.extraCookies,
                 baseUrl: runtime.config('services.auth2.url'),
-                providers: runtime.config('services.auth2.providers')
+                providers: runtime.config('services.auth2.providers'),
+                clockSyncInterval: config.clock.syncInterval,
+                onClockSync: (offset) => {
+                    this.checkClockSkew(offset);
+                }
             });
 
+            this.clockSkewWarning = config.clock.skewWarning;
+            // Whether the clock skew warning is showing.
+            this.clockSkewed = false;
+
             this.state = new Observed();
+
+            // The token and roles last announced; see announceChanges.
+            this.announced = {
+                token: null,
+                roles: []
+            };
+
+            // Set while the session is about to expire; see notifyExpiring.
+            this.expiring = null;
+            this.signinWindow = null;
         }
 
         getAuthToken() {
@@ -56,6 +100,10 @@ define([
             return this.auth2Session.getCustomRoles() || [];
         }
 
+        getExpiresAt() {
+            return this.auth2Session.getExpiresAt();
+        }
+
         getTokenInfo() {
             return this.auth2Session.getTokenInfo();
         }
@@ -88,6 +136,27 @@ define([
             return this.auth2Session.getClient().getProviders();
         }
 
+        // E.g. "authenticated" or "offline"; see kb_ts/SessionStateMachine.
+        getSessionState() {
+            return this.auth2Session.getSessionState();
+        }
+
+        getSessionHistory() {
+            return this.auth2Session.getSessionHistory();
+        }
+
+        getDebugInfo() {
+            return this.auth2Session.getDebugInfo();
+        }
+
+        reevaluateSession() {
+            return this.auth2Session.reevaluateSession();
+        }
+
+        clearSessionCookies() {
+            return this.auth2Session.clearSessionCookies();
+        }
+
         // Session state change
         loginStart(arg) {
             // starts an auth login / signup redirect loop
@@ -122,9 +191,152 @@ define([
             });
         }
 
+        // Sends "expiring" with the time remaining, and shows a notification
+        // with a countdown and a way to sign in again without leaving the page.
+        notifyExpiring() {
+            const expiresAt = this.getExpiresAt();
+            if (expiresAt === null) {
+                return;
+            }
+            this.expiring = {expiresAt};
+            // The expiry is in the time of the auth service, which the local
+            // clock may be off from.
+            const expiresIn = expiresAt - this.auth2Session.now();
+            this.runtime.send('session', 'expiring', {
+                expiresAt,
+                expiresIn
+            });
+            const props = {
+                expiresAt: Date.now() + expiresIn,
+                providers: this.signinProviders(),
+                onSignin: (provider) => {
+                    this.signInAgain(provider);
+                }
+            };
+            this.runtime.send('notification', 'notify', {
+                type: 'warning',
+                id: EXPIRING_NOTIFICATION_ID,
+                icon: 'clock-o',
+                message: preactHtml`<${SessionExpiring} ...${props} />`,
+                description: 'Sign in again to keep your session going without leaving this page'
+            });
+        }
+
+        // Warns, once, if the local clock is off from that of the auth service
+        // by more than the configured skewWarning, as times shown in the ui
+        // may then be off too; the session itself uses the corrected time.
+        // Once the clock is set correctly, the warning is replaced by one
+        // which says so, and goes away by itself.
+        checkClockSkew(offset) {
+            const skewed = Math.abs(offset) > this.clockSkewWarning;
+            if (skewed && !this.clockSkewed) {
+                this.runtime.send('notification', 'notify', {
+                    type: 'warning',
+                    id: CLOCK_SKEW_NOTIFICATION_ID,
+                    icon: 'clock-o',
+                    message: `Your computer's clock is ${offset > 0 ? 'slow' : 'fast'} by about ${formatSkew(Math.abs(offset))}`,
+                    description: 'Please set your clock correctly; times shown may otherwise be inaccurate'
+                });
+            } else if (!skewed && this.clockSkewed) {
+                this.runtime.send('notification', 'notify', {
+                    type: 'success',
+                    id: CLOCK_SKEW_NOTIFICATION_ID,
+                    icon: 'check',
+                    message: 'Your computer\'s clock is now correct',
+                    autodismiss: 10000
+                });
+            }
+            this.clockSkewed = skewed;
+        }
+
+        // Called when a new token arrives, or the session ends, while the
+        // expiry warning is showing.
+        endExpiring(renewed) {
+            this.expiring = null;
+            if (this.signinWindow !== null && !this.signinWindow.closed) {
+                this.signinWindow.close();
+            }
+            this.signinWindow = null;
+            this.runtime.send('notification', 'notify', {
+                type: renewed ? 'success' : 'error',
+                id: EXPIRING_NOTIFICATION_ID,
+                icon: renewed ? 'check' : 'exclamation-triangle',
+                message: renewed ? 'You have signed in again' : 'Your session has expired',
+                autodismiss: 10000
+            });
+        }
+
+        // The identity providers with which the user may sign in again: those
+        // of the identities linked to the account, or if they are not known,
+        // all those available.
+        signinProviders() {
+            const providers = this.auth2Session.getIdentityProviders();
+            if (providers.length > 0) {
+                return providers;
+            }
+            return this.getProviders().map(({id}) => {
+                return id;
+            });
+        }
+
+        /*
+         * Signs in again in a popup window, with the given identity provider.
+         * The login is started directly with the auth service, as the login
+         * page would only show that the user is already signed in. When the
+         * popup has signed in, the new session cookie is picked up by the
+         * session monitor just as for a sign in in another browser tab, and
+         * the popup is closed.
+         */
+        signInAgain(provider) {
+            if (this.signinWindow !== null && !this.signinWindow.closed) {
+                this.signinWindow.focus();
+                return;
+            }
+            this.signinWindow = window.open('about:blank', 'kbase-ui-signin', SIGNIN_WINDOW_FEATURES);
+            if (this.signinWindow === null) {
+                this.runtime.send('notification', 'notify', {
+                    type: 'warning',
+                    id: EXPIRING_NOTIFICATION_ID,
+                    message: 'The sign in window was blocked; please allow popups for this site and try again'
+                });
+                return;
+            }
+            this.auth2Session.loginStart({
+                provider,
+                state: {
+                    origin: 'session-expiring'
+                },
+                window: this.signinWindow
+            });
+        }
+
+        sessionSnapshot() {
+            const token = this.getAuthToken() || null;
+            const roles = token ? this.getRoles().map(({id}) => {
+                return id;
+            }).sort() : [];
+            return {token, roles};
+        }
+
+        // Sends "token-changed" and "roles-changed" when the session has a
+        // different token or roles than when last announced.
+        announceChanges() {
+            const {token, roles} = this.sessionSnapshot();
+            if (token !== this.announced.token) {
+                this.runtime.send('session', 'token-changed', {
+                    loggedIn: token !== null
+                });
+            }
+            if (roles.join(',') !== this.announced.roles.join(',')) {
+                this.runtime.send('session', 'roles-changed', {roles});
+            }
+            this.announced = {token, roles};
+        }
+
         start() {
             return this.auth2Session.start()
                 .then(() => {
+                    this.announced = this.sessionSnapshot();
                     if (this.auth2Session.isAuthorized()) {
                         this.state.setItem('loggedin', true);
                         this.runtime.send('session', 'loggedin');
@@ -136,7 +348,15 @@ define([
                         this.runtime.send('session', 'change', {
                             state: change
                         });
+                        const tokenChanged = this.announced.token !== (this.getAuthToken() || null);
+                        this.announceChanges();
+                        if (this.expiring !== null && tokenChanged) {
+                            this.endExpiring(this.isLoggedIn());
+                        }
                         switch (change) {
+                        case 'expiring':
+                            this.notifyExpiring();
+                            return;
                         case 'interrupted':
                             var description = div([
                                 p(
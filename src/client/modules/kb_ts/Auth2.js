@@ -355,12 +355,15 @@ define([
                     value: query.redirecturl
                 }, [])
             ]);
-            var donorNode = document.createElement('div');
+            // The login may be carried out in another window, e.g. a popup
+            // used to sign in again without leaving the current page.
+            const targetDocument = config.window ? config.window.document : document;
+            var donorNode = targetDocument.createElement('div');
 
             donorNode.innerHTML = content;
-            document.body.appendChild(donorNode);
+            targetDocument.body.appendChild(donorNode);
 
-            (document.getElementById(formId)).submit();
+            (targetDocument.getElementById(formId)).submit();
         }
 
 
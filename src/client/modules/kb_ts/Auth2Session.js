@@ -3,13 +3,17 @@ define([
     'uuid',
     './Cookie',
     './Auth2',
-    './Auth2Error'
+    './SessionStateMachine',
+    './ServerClock',
+    'lib/tabLeader'
 ], (
     Promise,
     Uuid,
     { CookieManager, Cookie },
     { Auth2 },
-    { AuthError }
+    {SessionStateMachine},
+    {ServerClock},
+    TabLeader
 ) => {
 
     // import { CookieManager, Cookie } from './Cookie';
@@ -24,16 +28,6 @@ define([
     // import { Utils } from './Utils';
     // import * as Promise from 'bluebird';
 
-    const SESSION_MONITORING_INTERVAL = 1000;
-
-    // export type SessionStatus = 'loggedout' | 'nosession' | 'newtoken' |
-    //     'interrupted-retry' | 'ok' | 'cacheexpired';
-
-    // export interface SessionState {
-    //     status: SessionStatus;
-    //     token?: string;
-    // }
-
 
     // export interface CookieConfig {
     //     name: string,
@@ -46,32 +40,19 @@ define([
     //     extraCookies: Array<CookieConfig>;
     // }
 
-    // enum CacheState {
-    //     New = 1, // newly created cache, no token info yet.
-    //     Ok, // session token exists and is synced
-    //     Stale, // session token exists, but cache lifetime has expired
-    //     Syncing, // session token exists, syncing in progress
-    //     Error,   // session token exists, error syncing
-    //     Interrupted, // session token exists, not able to sync
-    //     None // no session token exists
-    // }
-    const CacheState = {
-        New: 'NEW',
-        Ok: 'OK',
-        Stale: 'STALE',
-        Syncing: 'SYNCING',
-        Error: 'ERROR',
-        Interrupted: 'INTERRUPTED',
-        None: 'NONE'
-    };
-
-    // interface SessionCache {
-    //     session: Session | null,
-    //     fetchedAt: number,
-    //     state: CacheState,
-    //     interruptedAt?: number,
-    //     lastCheckedAt?: number;
-    // }
+    // How often the clock is synced with the auth service, by default.
+    const CLOCK_SYNC_INTERVAL = 600000;
+
+    // The number of session events kept for debugging.
+    const EVENT_LOG_LIMIT = 100;
+
+    // Just enough of a token to tell tokens apart.
+    function redact(token) {
+        if (!token) {
+            return token;
+        }
+        return token.slice(0, 4) + '…';
+    }
 
     // interface Session {
     //     token: string,
@@ -87,12 +68,10 @@ define([
 
         // baseUrl: string;
 
-        // sessionCache: SessionCache;
         // session: Session;
         // auth2Client: Auth2;
 
         // cookieManager: CookieManager;
-        // serviceLoopActive: boolean;
 
         // cookieMaxAge: number;
 
@@ -113,7 +92,25 @@ define([
             this.baseUrl = config.baseUrl;
             this.cookieManager = new CookieManager();
             this.auth2Client = new Auth2(config);
-            this.serviceLoopActive = false;
+
+            // Times from the auth service, such as token expiry, are compared
+            // with this rather than the local clock, which may be off.
+            this.clock = new ServerClock({
+                fetchServerTime: () => {
+                    return this.auth2Client.root()
+                        .then((root) => {
+                            this.root = root;
+                            return root.servertime;
+                        });
+                },
+                syncInterval: config.clockSyncInterval || CLOCK_SYNC_INTERVAL,
+                onSync: (offset) => {
+                    this.logEvent('clock-synced', {offset});
+                    if (config.onClockSync) {
+                        config.onClockSync(offset);
+                    }
+                }
+            });
             // TODO: feed this from config.
 
             // how long does the cookie live for
@@ -122,18 +119,52 @@ define([
 
             this.changeListeners = {};
 
-            this.sessionCache = {
-                session: null,
-                fetchedAt: 0,
-                state: CacheState.New
-            };
+            // Shared with the other tabs, if possible; see startTabSync.
+            this.tabLeader = null;
+
+            // Session events, most recent last; see getDebugInfo.
+            this.eventLog = [];
+
+            this.machine = new SessionStateMachine({
+                auth2Client: this.auth2Client,
+                clock: this.clock,
+                cookies: {
+                    get: () => {
+                        return this.getAuthCookie();
+                    },
+                    set: (token, expires) => {
+                        this.setSessionCookie(token, expires);
+                    },
+                    remove: () => {
+                        this.removeSessionCookie();
+                    },
+                    ensureExtras: (token, expires) => {
+                        this.ensureExtraSessionCookies(token, expires);
+                    }
+                },
+                onChange: (change) => {
+                    if (change === null) {
+                        // The other tabs still need the new state.
+                        this.broadcastSession(null);
+                    } else {
+                        this.notifyListeners(change);
+                    }
+                }
+            });
         }
 
         getSession() {
-            if (this.sessionCache.state === CacheState.Ok) {
-                return this.sessionCache.session;
-            }
-            return null;
+            return this.machine.getSession();
+        }
+
+        // The state of the session state machine; see SessionStateMachine.
+        getSessionState() {
+            return this.machine.getState();
+        }
+
+        // The recent transitions of the session state machine, oldest first.
+        getSessionHistory() {
+            return this.machine.getHistory();
         }
 
         getToken() {
@@ -183,6 +214,30 @@ define([
             }
             return null;
         }
+        // When the token expires, in ms since the epoch.
+        getExpiresAt() {
+            const session = this.getSession();
+            if (session) {
+                return session.tokenInfo.expires;
+            }
+            return null;
+        }
+
+        // The providers of the identities linked to the account, with which
+        // the user may sign in again.
+        getIdentityProviders() {
+            const session = this.getSession();
+            if (!session || !session.me.idents) {
+                return [];
+            }
+            return session.me.idents.reduce((providers, {provider}) => {
+                if (!providers.includes(provider)) {
+                    providers.push(provider);
+                }
+                return providers;
+            }, []);
+        }
+
         getKbaseSession() {
             const session = this.getSession();
             if (!session) {
@@ -331,6 +386,8 @@ define([
             if (change === null) {
                 return;
             }
+            this.broadcastSession(change);
+            this.logEvent(change);
             Object.keys(this.changeListeners).forEach((key) => {
                 const listener = this.changeListeners[key];
                 try {
@@ -341,113 +398,6 @@ define([
             });
         }
 
-        checkSession() {
-            return Promise.try(() => {
-                const cookieToken = this.getAuthCookie();
-                const currentSession = this.getSession();
-                const now = new Date().getTime();
-
-                // This handles the token cookie going missing. This may happen
-                // if the user signed out in another window, or if they deleted
-                // their cookies.
-                if (!cookieToken) {
-                    if (this.sessionCache.session) {
-                        this.sessionCache.session = null;
-                        this.sessionCache.state = CacheState.None;
-                        return {
-                            status: 'loggedout'
-                        };
-                    } else {
-                        this.sessionCache.state = CacheState.None;
-                        return {
-                            status: 'nosession'
-                        };
-                    }
-                }
-
-                // No session, but a cookie has appeared.
-                if (this.sessionCache.session === null) {
-                    return {
-                        status: 'newtoken',
-                        token: cookieToken
-                    };
-                }
-
-                // Detect user or session switcheroo. Just kill the old session.
-                // The caller of checkSession will need to rebulid the session cache
-                // and provide any notifications.
-                if (cookieToken !== this.sessionCache.session.token) {
-                    this.sessionCache.session = null;
-                    return {
-                        status: 'newtoken',
-                        token: cookieToken
-                    };
-                }
-
-                // Detect expired session
-                const expiresIn = this.sessionCache.session.tokenInfo.expires - now;
-                if (expiresIn <= 0) {
-                    this.sessionCache.session = null;
-                    this.sessionCache.state = CacheState.None;
-                    this.removeSessionCookie();
-                    return {
-                        status: 'loggedout'
-                    };
-                } else if (expiresIn <= 300000) {
-                    // TODO: issue warning to ui.
-                    // console.warn('session about to expire', expiresIn);
-
-                }
-
-                // Attempt to restore interrupted session.
-                // We do this once every 5 seconds for one minute,
-                // then once every minute.
-                if (this.sessionCache.state === CacheState.Interrupted) {
-                    const interruptedFor = now - this.sessionCache.interruptedAt;
-                    const checkedFor = now - this.sessionCache.lastCheckedAt;
-                    if (interruptedFor < 60000) {
-                        if (checkedFor > 5000) {
-                            return {
-                                status: 'interrupted-retry',
-                                token: cookieToken
-                            };
-                        }
-                    } else {
-                        if (checkedFor > 60000) {
-                            return {
-                                status: 'interrupted-retry',
-                                token: cookieToken
-                            };
-                        }
-                    }
-                    // Note that we don't try to recache the session while in interrupted
-                    // state, so we just return ok here.
-                    return {
-                        status: 'ok',
-                        token: cookieToken
-                    };
-                }
-
-                // If we _still_ have a session, see if the cache is stale.
-                // Note that we change the cache state but we leave the session intact.
-                // TODO: revert back, just testing...
-                const sessionAge = now - this.sessionCache.fetchedAt;
-                if (sessionAge > this.sessionCache.session.tokenInfo.cachefor) {
-                    // this.session = null;
-                    this.sessionCache.state = CacheState.Stale;
-                    return {
-                        status: 'cacheexpired',
-                        token: cookieToken
-                    };
-                }
-
-                return {
-                    status: 'ok',
-                    token: cookieToken
-                };
-            });
-        }
-
         getAuthCookie() {
             var cookies = this.cookieManager.getItems(this.cookieName);
 
@@ -466,6 +416,7 @@ define([
             // Handle case of a domain and host cookie slipping in.
             // Try removing the session cookie, which also tries to remove
             // all variants.
+            this.logEvent('duplicate-cookie', {count: cookies.length});
             if (cookies.length === 2) {
                 this.removeSessionCookie();
             }
@@ -478,196 +429,182 @@ define([
             return null;
         }
 
-        ensureExtraSessionCookies(token) {
-            return Promise.try(() => {
-                let repairNeeded = false;
-
-                // get backup cookies
-                this.extraCookies.forEach((cookie) => {
-                    const items = this.cookieManager.getItems(cookie.name);
-                    if (items.length === 1) {
-                    // good.
-                    } else if (items.length > 1) {
-                    // bad - what to do?
-                        repairNeeded = false;
-                    } else {
-                    // Add this cookie.
-                        repairNeeded = true;
-                    }
-                });
+        ensureExtraSessionCookies(token, expires) {
+            // Restore any backup cookie which has gone missing.
+            const repairNeeded = (this.extraCookies || []).some((cookie) => {
+                return this.cookieManager.getItems(cookie.name).length === 0;
+            });
+            if (repairNeeded) {
+                this.setSessionCookie(token, expires);
+            }
+        }
+
+        // Checks the session now, e.g. after the session cookie has been set
+        // or removed.
+        evaluateSession() {
+            return this.machine.check();
+        }
+
+        // TAB SYNC
 
-                if (!repairNeeded) {
-                    return;
+        /*
+         * The session is monitored by just one tab, the leader, which sends
+         * the session, and any change to it, to the other tabs, which just
+         * adopt it. Without BroadcastChannel every tab monitors the session
+         * itself.
+         */
+        startTabSync() {
+            if (!TabLeader.isSupported()) {
+                return;
+            }
+            this.tabLeader = new TabLeader({
+                name: 'kbase-ui-session:' + this.cookieName,
+                onChange: (isLeader) => {
+                    this.machine.setActive(isLeader);
+                },
+                onMessage: (message) => {
+                    this.receiveSession(message);
                 }
+            });
+            this.machine.setActive(false);
+            this.tabLeader.start();
+        }
 
-                return this.auth2Client.getTokenInfo(token)
-                    .then((tokenInfo) => {
-                        this.setSessionCookie(token, tokenInfo.expires);
-                    });
+        isMonitoring() {
+            return this.tabLeader === null || this.tabLeader.isLeader;
+        }
+
+        broadcastSession(change) {
+            if (this.tabLeader === null || !this.tabLeader.isLeader) {
+                return;
+            }
+            this.tabLeader.post({
+                change,
+                snapshot: this.machine.snapshot()
             });
+        }
 
+        receiveSession({change, snapshot}) {
+            if (this.isMonitoring()) {
+                return;
+            }
+            const previousToken = this.getToken();
+            this.machine.adopt(snapshot);
+            // This tab may have noticed a sign in or out itself, e.g. if it
+            // was made in this tab.
+            if ((change === 'loggedin' || change === 'loggedout') && previousToken === this.getToken()) {
+                return;
+            }
+            this.notifyListeners(change);
         }
 
-        evaluateSession() {
-            return this.checkSession()
-                .then((sessionState) => {
-                    if (sessionState.token) {
-                        return this.ensureExtraSessionCookies(sessionState.token)
-                            .then(() => {
-                                return sessionState;
-                            });
-                    }
-                    return sessionState;
-                })
-                .then((sessionState) => {
-                    switch (sessionState.status) {
-                    case 'loggedout':
-                        this.notifyListeners('loggedout');
-                        return;
-                    case 'ok':
-                        return;
-                    case 'nosession':
-                        return;
-                    case 'interrupted-retry':
-                    case 'newtoken':
-                    case 'cacheexpired':
-                        // All these cases need the session to be rebuilt.
-                        break;
-                    default: throw new Error('Unexpected session state: ' + sessionState.status);
-                    }
+        // DEBUGGING
 
-                    const token = sessionState.token;
-
-                    this.sessionCache.lastCheckedAt = new Date().getTime();
-                    let tokenInfo;
-                    let me;
-                    return this.auth2Client.getTokenInfo(token)
-                        .then((result) => {
-                            tokenInfo = result;
-                            return this.auth2Client.getMe(token);
-                        })
-                        .then((result) => {
-                            me = result;
-                            // TODO detect invalidated token...
-                            this.sessionCache.fetchedAt = new Date().getTime();
-                            this.sessionCache.state = CacheState.Ok;
-                            this.sessionCache.interruptedAt = null;
-                            this.sessionCache.session = {
-                                token,
-                                tokenInfo,
-                                me
-                            };
-
-                            // Rewrite the extras cookies
-                            this.setSessionCookie(token, tokenInfo.expires);
-
-                            switch (sessionState.status) {
-                            case 'newtoken':
-                                this.notifyListeners('loggedin');
-                                break;
-                            case 'interrupted-retry':
-                                this.notifyListeners('restored');
-                                break;
-                            case 'cacheexpired':
-                                // nothing special, the session has just been
-                                // reconfirmed.
-                            }
-                        })
-                        .catch(AuthError, (err) => {
-                            switch (err.code) {
-                            case '10020':
-                                // invalid token - the token is not accepted by the auth2 service,
-                                // so just invalidate the session.
-                                console.error('Invalid Session Cookie Detected', err);
-                                this.removeSessionCookie();
-                                this.notifyListeners('loggedout');
-                                break;
-                            case 'connection-error':
-                            case 'timeout-error':
-                            case 'abort-error':
-                                // TODO: remove
-                                this.sessionCache.state = CacheState.Interrupted;
-                                this.sessionCache.interruptedAt = new Date().getTime();
-                                this.notifyListeners('interrupted');
-                                switch (sessionState.status) {
-                                case 'cacheexpired':
-                                case 'newtoken':
-                                    // TODO: go to error page
-                                    this.sessionCache.fetchedAt = new Date().getTime();
-                                    this.notifyListeners('interrupted');
-                                    break;
-                                case 'interrupted-retry':
-                                    this.notifyListeners('interrupted');
-                                    break;
-                                }
-                                // console.error('CONNECTION ERROR', err);
-                                break;
-                            default:
-                                console.error('Unhandled AUTH ERROR', err);
-                                this.removeSessionCookie();
-                                this.notifyListeners('loggedout');
-                            }
-                        })
-                        .catch((err) => {
-                            // TODO: signal error to UI.
-                            console.error('ERROR', err, err instanceof AuthError);
-                            this.session = null;
-                            this.removeSessionCookie();
-                            if (sessionState.status === 'newtoken') {
-                                this.notifyListeners('loggedout');
-                            }
-                        });
+        logEvent(event, detail) {
+            this.eventLog.push({
+                event,
+                detail: detail || null,
+                at: this.clock.now()
+            });
+            if (this.eventLog.length > EVENT_LOG_LIMIT) {
+                this.eventLog.shift();
+            }
+        }
+
+        /*
+         * The internals of the session, for diagnosing session problems: the
+         * state machine, the token info, the session and backup cookies, the
+         * clock offset from the auth service, and the session events. Tokens
+         * are redacted.
+         */
+        getDebugInfo() {
+            const {state, session, fetchedAt, interruptedAt, lastCheckedAt} = this.machine.snapshot();
+            const cookies = [{name: this.cookieName, domain: null, backup: false}]
+                .concat((this.extraCookies || []).map(({name, domain}) => {
+                    return {name, domain, backup: true};
+                }))
+                .map(({name, domain, backup}) => {
+                    const values = this.cookieManager.getItems(name);
+                    return {
+                        name,
+                        domain,
+                        backup,
+                        values: values.map(redact),
+                        duplicate: values.length > 1,
+                        matchesSession: session !== null && values.includes(session.token)
+                    };
                 });
+            return {
+                state,
+                fetchedAt,
+                interruptedAt,
+                lastCheckedAt,
+                token: session ? redact(session.token) : null,
+                tokenInfo: session ? Object.assign({}, session.tokenInfo, {token: redact(session.token)}) : null,
+                cookies,
+                clock: this.clock.syncedAt !== null ? {
+                    syncedAt: this.clock.syncedAt,
+                    offset: this.serverTimeOffset()
+                } : null,
+                history: this.machine.getHistory(),
+                events: this.eventLog.slice()
+            };
+        }
+
+        // Fetches the session again now.
+        reevaluateSession() {
+            this.logEvent('reevaluate');
+            return this.machine.refresh();
+        }
+
+        // Removes the session and backup cookies, which signs out.
+        clearSessionCookies() {
+            this.logEvent('clear-cookies');
+            this.removeSessionCookie();
+            return this.evaluateSession();
         }
 
         // root stuff
+
+        // How far the local clock is ahead of that of the auth service, in ms.
         serverTimeOffset() {
-            return this.now - this.root.servertime;
+            return -this.clock.getOffset();
         }
 
-        // loopTimer;
+        // The present according to the auth service.
+        now() {
+            return this.clock.now();
+        }
 
         start() {
-            return this.auth2Client.root()
-                .then((root) => {
-                    this.root = root;
-                    this.now = new Date().getTime();
-                    const nextLoop = () => {
-                        if (!this.serviceLoopActive) {
-                            return;
-                        }
-                        this.loopTimer = window.setTimeout(serviceLoop, SESSION_MONITORING_INTERVAL);
-                    };
-                    const serviceLoop = () => {
-                        return this.evaluateSession()
-                            .then(() => {
-                                nextLoop();
-                            });
-                    };
-                    this.serviceLoopActive = true;
-                    return serviceLoop();
+            return this.clock.start()
+                .then(() => {
+                    this.startTabSync();
+                    return this.machine.start();
                 });
         }
 
         stop() {
-            return Promise.resolve(() => {
-                this.serviceLoopActive = false;
-                if (this.loopTimer) {
-                    window.clearTimeout(this.loopTimer);
-                    this.loopTimer = null;
+            return Promise.try(() => {
+                this.clock.stop();
+                this.machine.stop();
+                if (this.tabLeader !== null) {
+                    this.tabLeader.stop();
+                    this.tabLeader = null;
                 }
             });
         }
 
         // COOKIES
 
+        // The expiration is in server time; see ServerClock.
         setSessionCookie(token, expiration) {
             const sessionCookie = new Cookie(this.cookieName)
                 .setValue(token)
                 .setPath('/')
                 .setSecure(true);
 
-            sessionCookie.setExpires(new Date(expiration).toUTCString());
+            sessionCookie.setExpires(new Date(this.clock.toLocal(expiration)).toUTCString());
 
             this.cookieManager.setItem(sessionCookie);
             const that = this;
@@ -679,7 +616,7 @@ define([
                         .setDomain(cookieConfig.domain)
                         .setSecure(true);
 
-                    extraCookie.setExpires(new Date(expiration).toUTCString());
+                    extraCookie.setExpires(new Date(this.clock.toLocal(expiration)).toUTCString());
 
                     that.cookieManager.setItem(extraCookie);
                 });
@@ -1,4 +1,8 @@
-define([], () => {
+define([
+    'lib/queryCodec'
+], (
+    queryCodec
+) => {
     // class HttpQueryField {
     //     key: string;
     //     value: string;
@@ -30,13 +34,14 @@ define([], () => {
             delete this.queryMap[key];
         }
 
+        // Service queries use plain form encoding: array values become
+        // repeated keys, and object values JSON.
         toString() {
-            const that = this;
-            return Object.keys(this.queryMap).map(function (key) {
-                return [key, that.queryMap[key]]
-                    .map(encodeURIComponent)
-                    .join('=');
-            }).join('&');
+            return queryCodec.encodeQuery(this.queryMap, {typed: false});
+        }
+
+        static fromString(queryString) {
+            return new HttpQuery(queryCodec.decodeQuery(queryString, {typed: false}));
         }
 
     }
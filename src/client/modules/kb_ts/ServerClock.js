@@ -0,0 +1,92 @@
+define([
+    'bluebird'
+], (
+    Promise
+) => {
+
+    /*
+     * The time according to a server, e.g. the auth service, so that times
+     * given by the server, such as when a token expires, may be compared with
+     * the present even though the local clock is off.
+     *
+     * The offset from the local clock is measured by sync, taking the server
+     * time to have been read midway through the request, and measured again
+     * every syncInterval once started. Offers setTimeout and clearTimeout too,
+     * so that it may serve as the clock of the session state machine.
+     */
+    class ServerClock {
+        constructor({fetchServerTime, syncInterval, onSync}) {
+            this.fetchServerTime = fetchServerTime;
+            this.syncInterval = syncInterval;
+            this.onSync = onSync || (() => {});
+            // Server time minus local time.
+            this.offset = 0;
+            this.syncedAt = null;
+            this.timer = null;
+        }
+
+        now() {
+            return Date.now() + this.offset;
+        }
+
+        // The local time corresponding to the given server time, e.g. for a
+        // cookie expiry, which the browser compares with the local clock.
+        toLocal(serverTime) {
+            return serverTime - this.offset;
+        }
+
+        getOffset() {
+            return this.offset;
+        }
+
+        sync() {
+            const sentAt = Date.now();
+            return Promise.resolve(this.fetchServerTime())
+                .then((serverTime) => {
+                    const receivedAt = Date.now();
+                    this.offset = serverTime - Math.round((sentAt + receivedAt) / 2);
+                    this.syncedAt = receivedAt;
+                    this.onSync(this.offset);
+                    return this.offset;
+                });
+        }
+
+        start() {
+            const loop = () => {
+                this.timer = window.setTimeout(() => {
+                    this.sync()
+                        .catch((err) => {
+                            console.warn('Error syncing the clock', err);
+                        })
+                        .finally(() => {
+                            if (this.timer !== null) {
+                                loop();
+                            }
+                        });
+                }, this.syncInterval);
+            };
+            return this.sync()
+                .then((offset) => {
+                    loop();
+                    return offset;
+                });
+        }
+
+        stop() {
+            if (this.timer !== null) {
+                window.clearTimeout(this.timer);
+                this.timer = null;
+            }
+        }
+
+        setTimeout(fun, delay) {
+            return window.setTimeout(fun, delay);
+        }
+
+        clearTimeout(timer) {
+            window.clearTimeout(timer);
+        }
+    }
+
+    return {ServerClock};
+});
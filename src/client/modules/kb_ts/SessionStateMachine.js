@@ -0,0 +1,449 @@
+define([
+    'bluebird'
+], (
+    Promise
+) => {
+
+    // How often the session is checked.
+    const CHECK_INTERVAL = 1000;
+
+    // How long before the token expires that "expiring" is notified.
+    const EXPIRING_WARNING = 300000;
+
+    // While interrupted, the session is retried every RETRY_INTERVAL for
+    // RETRY_PERIOD, then every RETRY_INTERVAL_LATER.
+    const RETRY_PERIOD = 60000;
+    const RETRY_INTERVAL = 5000;
+    const RETRY_INTERVAL_LATER = 60000;
+
+    // The number of transitions kept in the history.
+    const HISTORY_LIMIT = 100;
+
+    // Auth client error codes for when the auth service could not be reached,
+    // as opposed to rejecting the token.
+    const UNREACHABLE_CODES = ['connection-error', 'timeout-error', 'abort-error'];
+
+    /*
+     * The states, and for each the events it accepts and the state each leads
+     * to; a function target is a guard, which picks the state. An event not
+     * accepted by the current state is ignored.
+     *
+     *   new - not yet started
+     *   none - there is no session cookie
+     *   fetching - fetching the token info and account for a new token
+     *   authenticated - the session is established
+     *   refreshing - re-fetching the session, as its cache time has passed or
+     *       on request
+     *   interrupted - the auth service could not be reached
+     *   retrying - re-fetching the session while interrupted
+     *   offline - the browser is offline, so fetching is paused; a session
+     *       held may still end, by removal of the cookie or expiry
+     */
+    const TRANSITIONS = {
+        new: {
+            start: 'none'
+        },
+        none: {
+            'token-found': 'fetching',
+            offline: 'offline'
+        },
+        fetching: {
+            fetched: 'authenticated',
+            rejected: 'none',
+            unreachable: 'interrupted',
+            'cookie-removed': 'none',
+            'token-changed': 'fetching',
+            offline: 'offline'
+        },
+        authenticated: {
+            'cookie-removed': 'none',
+            'token-changed': 'fetching',
+            expired: 'none',
+            'cache-expired': 'refreshing',
+            refresh: 'refreshing',
+            offline: 'offline'
+        },
+        refreshing: {
+            fetched: 'authenticated',
+            rejected: 'none',
+            unreachable: 'interrupted',
+            'cookie-removed': 'none',
+            'token-changed': 'fetching',
+            offline: 'offline'
+        },
+        interrupted: {
+            retry: 'retrying',
+            refresh: 'retrying',
+            'cookie-removed': 'none',
+            'token-changed': 'fetching',
+            offline: 'offline'
+        },
+        retrying: {
+            fetched: 'authenticated',
+            rejected: 'none',
+            unreachable: 'interrupted',
+            'cookie-removed': 'none',
+            'token-changed': 'fetching',
+            offline: 'offline'
+        },
+        offline: {
+            // A session held when going offline is confirmed again.
+            online: (machine) => {
+                return machine.session ? 'refreshing' : 'none';
+            },
+            'cookie-removed': 'none',
+            expired: 'none'
+        }
+    };
+
+    // The states in which the session, if any, may be used.
+    const SESSION_STATES = ['authenticated', 'refreshing', 'offline'];
+
+    // The states in which the session is fetched upon entry.
+    const FETCH_STATES = ['fetching', 'refreshing', 'retrying'];
+
+    // The change notified to listeners for a transition, if any.
+    function changeFor({from, to, event}, hadSession) {
+        switch (to) {
+        case 'authenticated':
+            if (from === 'fetching') {
+                return 'loggedin';
+            }
+            if (from === 'retrying') {
+                return 'restored';
+            }
+            return null;
+        case 'none':
+            return hadSession || event === 'rejected' ? 'loggedout' : null;
+        case 'interrupted':
+            return from === 'retrying' ? null : 'interrupted';
+        default:
+            return null;
+        }
+    }
+
+    const defaultClock = {
+        now() {
+            return Date.now();
+        },
+        setTimeout(fun, delay) {
+            return window.setTimeout(fun, delay);
+        },
+        clearTimeout(timer) {
+            window.clearTimeout(timer);
+        }
+    };
+
+    const defaultNetwork = {
+        isOnline() {
+            return navigator.onLine !== false;
+        },
+        // Returns a function to stop listening.
+        listen(onOnline, onOffline) {
+            window.addEventListener('online', onOnline);
+            window.addEventListener('offline', onOffline);
+            return () => {
+                window.removeEventListener('online', onOnline);
+                window.removeEventListener('offline', onOffline);
+            };
+        }
+    };
+
+    /*
+     * Tracks the session for the session cookie: checks the cookie every
+     * CHECK_INTERVAL, fetches the token info and account for a new token or
+     * once the cache time has passed, and notices expiry, interruption of the
+     * auth service, and going on and offline.
+     *
+     * The auth client, cookies ({get, set, remove, ensureExtras}), clock and
+     * network are given, so that the machine may be run with fakes. Each
+     * transition is passed to onChange with the change to notify, if any:
+     * "loggedin", "loggedout", "restored", "interrupted" or "expiring".
+     */
+    class SessionStateMachine {
+        constructor({auth2Client, cookies, clock, network, onChange}) {
+            this.auth2Client = auth2Client;
+            this.cookies = cookies;
+            this.clock = clock || defaultClock;
+            this.network = network || defaultNetwork;
+            this.onChange = onChange || (() => {});
+
+            this.state = 'new';
+            // The token of the session, or being fetched.
+            this.token = null;
+            this.session = null;
+            this.fetchedAt = null;
+            this.interruptedAt = null;
+            this.lastCheckedAt = null;
+            // The token for which "expiring" was last notified.
+            this.expiringToken = null;
+            this.history = [];
+
+            // Incremented to disregard the result of a superseded fetch.
+            this.fetchSerial = 0;
+            this.pending = Promise.resolve();
+            this.active = true;
+            this.timer = null;
+            this.unlisten = null;
+        }
+
+        getState() {
+            return this.state;
+        }
+
+        getSession() {
+            return SESSION_STATES.includes(this.state) ? this.session : null;
+        }
+
+        // Oldest first.
+        getHistory() {
+            return this.history.slice();
+        }
+
+        // Returns whether the event was accepted.
+        dispatch(event, data = {}) {
+            const from = this.state;
+            const target = TRANSITIONS[from][event];
+            if (!target) {
+                return false;
+            }
+            const to = typeof target === 'function' ? target(this) : target;
+            const hadSession = this.session !== null;
+            const transition = {from, to, event, at: this.clock.now()};
+            this.history.push(transition);
+            if (this.history.length > HISTORY_LIMIT) {
+                this.history.shift();
+            }
+            this.state = to;
+            this.enter(to, data);
+            this.onChange(changeFor(transition, hadSession), transition);
+            if (FETCH_STATES.includes(to)) {
+                this.pending = this.fetch(this.token);
+            }
+            return true;
+        }
+
+        enter(state, {token, session, removeCookie}) {
+            // Any fetch under way is superseded.
+            this.fetchSerial += 1;
+            switch (state) {
+            case 'none':
+                this.token = null;
+                this.session = null;
+                this.fetchedAt = null;
+                this.interruptedAt = null;
+                if (removeCookie) {
+                    this.cookies.remove();
+                }
+                break;
+            case 'fetching':
+                this.token = token;
+                this.session = null;
+                this.interruptedAt = null;
+                break;
+            case 'authenticated':
+                this.session = session;
+                this.fetchedAt = this.clock.now();
+                this.interruptedAt = null;
+                this.cookies.set(session.token, session.tokenInfo.expires);
+                break;
+            case 'interrupted':
+                if (this.interruptedAt === null) {
+                    this.interruptedAt = this.clock.now();
+                }
+                break;
+            }
+        }
+
+        fetch(token) {
+            const serial = this.fetchSerial;
+            this.lastCheckedAt = this.clock.now();
+            let tokenInfo;
+            return Promise.resolve(this.auth2Client.getTokenInfo(token))
+                .then((result) => {
+                    tokenInfo = result;
+                    return this.auth2Client.getMe(token);
+                })
+                .then((me) => {
+                    return ['fetched', {session: {token, tokenInfo, me}}];
+                })
+                .catch((err) => {
+                    if (UNREACHABLE_CODES.includes(err.code)) {
+                        return ['unreachable', {}];
+                    }
+                    console.error('Session could not be fetched', err);
+                    return ['rejected', {removeCookie: true}];
+                })
+                .then(([event, data]) => {
+                    if (serial === this.fetchSerial) {
+                        this.dispatch(event, data);
+                    }
+                });
+        }
+
+        // The event, if any, for the expiry of the session. Also notifies
+        // "expiring" shortly before.
+        expiryEvent(now) {
+            const {token} = this;
+            const {expires} = this.session.tokenInfo;
+            if (expires <= now) {
+                return ['expired', {removeCookie: true}];
+            }
+            this.cookies.ensureExtras(token, expires);
+            if (expires - now <= EXPIRING_WARNING && this.expiringToken !== token) {
+                this.expiringToken = token;
+                this.onChange('expiring', null);
+            }
+            return null;
+        }
+
+        // The event, if any, indicated by the session cookie and the time.
+        localEvent() {
+            if (this.state === 'new') {
+                return null;
+            }
+            const token = this.cookies.get();
+            const now = this.clock.now();
+            if (this.state === 'none') {
+                return token ? ['token-found', {token}] : null;
+            }
+            // Offline, a session held is still ended by removal of the cookie
+            // or expiry; a new token must wait to be fetched until online.
+            if (this.state === 'offline') {
+                if (this.session === null) {
+                    return null;
+                }
+                if (!token) {
+                    return ['cookie-removed', {}];
+                }
+                return token === this.token ? this.expiryEvent(now) : null;
+            }
+            if (!token) {
+                return ['cookie-removed', {}];
+            }
+            if (token !== this.token) {
+                return ['token-changed', {token}];
+            }
+            switch (this.state) {
+            case 'authenticated': {
+                const expiry = this.expiryEvent(now);
+                if (expiry) {
+                    return expiry;
+                }
+                if (now - this.fetchedAt > this.session.tokenInfo.cachefor) {
+                    return ['cache-expired', {}];
+                }
+                return null;
+            }
+            case 'interrupted': {
+                const interruptedFor = now - this.interruptedAt;
+                const checkedFor = now - this.lastCheckedAt;
+                const interval = interruptedFor < RETRY_PERIOD ? RETRY_INTERVAL : RETRY_INTERVAL_LATER;
+                return checkedFor >= interval ? ['retry', {}] : null;
+            }
+            default:
+                return null;
+            }
+        }
+
+        // Checks the session now, resolving when any resulting fetch is done.
+        check() {
+            return Promise.try(() => {
+                const next = this.localEvent();
+                if (next) {
+                    this.dispatch(...next);
+                }
+                return this.pending;
+            });
+        }
+
+        // Re-fetches the session now, rather than when its cache time has
+        // passed; resolves when done.
+        refresh() {
+            this.dispatch('refresh');
+            return this.check();
+        }
+
+        // An inactive machine does not check the session itself; see adopt.
+        setActive(active) {
+            // A fetch adopted from another tab will not complete here.
+            if (active && !this.active && FETCH_STATES.includes(this.state)) {
+                this.pending = this.fetch(this.token);
+            }
+            this.active = active;
+        }
+
+        start() {
+            this.dispatch('start');
+            this.unlisten = this.network.listen(() => {
+                if (this.dispatch('online')) {
+                    this.check();
+                }
+            }, () => {
+                this.dispatch('offline');
+            });
+            if (!this.network.isOnline()) {
+                this.dispatch('offline');
+            }
+            const loop = () => {
+                this.timer = this.clock.setTimeout(() => {
+                    const checked = this.active ? this.check() : Promise.resolve();
+                    checked
+                        .catch((err) => {
+                            console.error('Error checking session', err);
+                        })
+                        .then(() => {
+                            if (this.timer !== null) {
+                                loop();
+                            }
+                        });
+                }, CHECK_INTERVAL);
+            };
+            // The session is always checked at first, as there is nothing
+            // else to go on.
+            return this.check()
+                .finally(() => {
+                    loop();
+                });
+        }
+
+        stop() {
+            if (this.timer !== null) {
+                this.clock.clearTimeout(this.timer);
+                this.timer = null;
+            }
+            if (this.unlisten !== null) {
+                this.unlisten();
+                this.unlisten = null;
+            }
+            this.fetchSerial += 1;
+        }
+
+        // The state, for adoption by a machine in another tab.
+        snapshot() {
+            return {
+                state: this.state,
+                token: this.token,
+                session: this.session,
+                fetchedAt: this.fetchedAt,
+                interruptedAt: this.interruptedAt,
+                lastCheckedAt: this.lastCheckedAt,
+                expiringToken: this.expiringToken
+            };
+        }
+
+        adopt(snapshot) {
+            const from = this.state;
+            this.fetchSerial += 1;
+            Object.assign(this, snapshot);
+            if (from !== snapshot.state) {
+                this.history.push({from, to: snapshot.state, event: 'adopted', at: this.clock.now()});
+                if (this.history.length > HISTORY_LIMIT) {
+                    this.history.shift();
+                }
+            }
+        }
+    }
+
+    return {SessionStateMachine, TRANSITIONS};
+});
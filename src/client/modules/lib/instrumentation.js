@@ -0,0 +1,256 @@
+define([
+    'lib/jsonSchema'
+], (
+    jsonSchema
+) => {
+
+    const STRING = {type: 'string'};
+    const OPTIONAL_STRING = {type: ['string', 'null']};
+    const DURATION = {type: 'number', minimum: 0};
+
+    /*
+     * The instrumentation events, by type. Every event is also stamped with
+     * its "time" when recorded. An event which does not conform is dropped.
+     */
+    const EVENT_SCHEMAS = {
+        // From the route request until the route is dispatched to the body;
+        // includes lazy plugin loading, guards and resolvers.
+        'route-timing': {
+            type: 'object',
+            properties: {
+                route: OPTIONAL_STRING,
+                plugin: OPTIONAL_STRING,
+                duration: DURATION
+            },
+            required: ['duration']
+        },
+        // "install" is the loading of a lazy plugin by the plugin manager,
+        // "iframe" from the creation of a plugin iframe until it is started.
+        'plugin-load': {
+            type: 'object',
+            properties: {
+                plugin: STRING,
+                phase: {enum: ['install', 'iframe']},
+                duration: DURATION
+            },
+            required: ['plugin', 'phase', 'duration']
+        },
+        'rpc-latency': {
+            type: 'object',
+            properties: {
+                module: STRING,
+                method: STRING,
+                duration: DURATION,
+                ok: {type: 'boolean'}
+            },
+            required: ['module', 'method', 'duration', 'ok']
+        },
+        'error': {
+            type: 'object',
+            properties: {
+                source: STRING,
+                message: STRING,
+                plugin: OPTIONAL_STRING,
+                detail: {type: 'object'}
+            },
+            required: ['source', 'message']
+        },
+        // Sent by an iframe plugin over its channel; the data is the plugin's
+        // own business.
+        'plugin-event': {
+            type: 'object',
+            properties: {
+                plugin: STRING,
+                data: {type: 'object'}
+            },
+            required: ['plugin', 'data']
+        }
+    };
+
+    // Recorded regardless of sampling.
+    const UNSAMPLED_TYPES = ['error'];
+
+    // Holds the most recent items, up to the capacity.
+    class RingBuffer {
+        constructor(capacity) {
+            this.capacity = capacity;
+            this.items = [];
+            this.next = 0;
+        }
+
+        push(item) {
+            if (this.capacity <= 0) {
+                return;
+            }
+            if (this.items.length < this.capacity) {
+                this.items.push(item);
+            } else {
+                this.items[this.next] = item;
+            }
+            this.next = (this.next + 1) % this.capacity;
+        }
+
+        // Oldest first.
+        toArray() {
+            if (this.items.length < this.capacity) {
+                return this.items.slice();
+            }
+            return this.items.slice(this.next).concat(this.items.slice(0, this.next));
+        }
+    }
+
+    class ConsoleSink {
+        send(events) {
+            events.forEach((event) => {
+                console.warn('[instrumentation]', event);
+            });
+        }
+    }
+
+    // POSTs batches as {events} to the configured endpoint; a batch sent as
+    // the page is hidden uses sendBeacon, which survives the page unloading.
+    class HttpSink {
+        constructor({url}) {
+            this.url = url;
+        }
+
+        send(events, {beacon}) {
+            const body = JSON.stringify({events});
+            if (beacon && navigator.sendBeacon) {
+                if (navigator.sendBeacon(this.url, new Blob([body], {type: 'application/json'}))) {
+                    return;
+                }
+            }
+            fetch(this.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body,
+                keepalive: true
+            })
+                .catch((err) => {
+                    console.warn('[instrumentation] Error sending events', err);
+                });
+        }
+    }
+
+    // The event properties which may be sent to Google Analytics, by event
+    // type. Messages, details and plugin data may identify the user, so are
+    // never sent.
+    const GTAG_PARAMS = {
+        'route-timing': ['route', 'plugin', 'duration'],
+        'plugin-load': ['plugin', 'phase', 'duration'],
+        'rpc-latency': ['module', 'method', 'duration', 'ok'],
+        'error': ['source', 'plugin'],
+        'plugin-event': ['plugin']
+    };
+
+    // Sends each event to Google Analytics as a gtag event named after its
+    // type, with just the properties allowed in GTAG_PARAMS; see
+    // js/gtagSupport.
+    class GtagSink {
+        send(events) {
+            window.dataLayer = window.dataLayer || [];
+            function gtag() {
+                window.dataLayer.push(arguments);
+            }
+            events.forEach((event) => {
+                const params = (GTAG_PARAMS[event.type] || []).reduce((params, name) => {
+                    if (name in event) {
+                        params[name] = event[name];
+                    }
+                    return params;
+                }, {});
+                gtag('event', event.type, params);
+            });
+        }
+    }
+
+    /*
+     * Validates, samples and batches instrumentation events, and sends each
+     * batch to all sinks. A batch is sent when full, every flushInterval ms
+     * while started, and when flush is called. The most recent events, sent
+     * or not, are kept in a ring buffer for inspection.
+     *
+     * Sampling is decided once, so that a sampled session is recorded in
+     * full; errors are always recorded.
+     */
+    class Instrumentation {
+        constructor({sinks, sampleRate, batchSize, flushInterval, bufferSize, random, now}) {
+            this.sinks = sinks || [];
+            this.batchSize = batchSize || 20;
+            this.flushInterval = flushInterval || 10000;
+            this.now = now || Date.now;
+            this.sampled = (random || Math.random)() < (typeof sampleRate === 'number' ? sampleRate : 1);
+            this.recentEvents = new RingBuffer(typeof bufferSize === 'number' ? bufferSize : 200);
+            this.pending = [];
+            this.timer = null;
+        }
+
+        // Returns whether the event was recorded.
+        record(event) {
+            const schema = EVENT_SCHEMAS[event && event.type];
+            if (!schema) {
+                console.warn('[instrumentation] Unknown event type', event);
+                return false;
+            }
+            const errors = jsonSchema.validate(schema, event);
+            if (errors.length > 0) {
+                console.warn('[instrumentation] Invalid event', event, errors);
+                return false;
+            }
+            if (!this.sampled && !UNSAMPLED_TYPES.includes(event.type)) {
+                return false;
+            }
+            const stamped = Object.assign({time: this.now()}, event);
+            this.recentEvents.push(stamped);
+            this.pending.push(stamped);
+            if (this.pending.length >= this.batchSize) {
+                this.flush();
+            }
+            return true;
+        }
+
+        flush({beacon} = {}) {
+            if (this.pending.length === 0) {
+                return;
+            }
+            const events = this.pending;
+            this.pending = [];
+            this.sinks.forEach((sink) => {
+                try {
+                    sink.send(events, {beacon: !!beacon});
+                } catch (ex) {
+                    console.warn('[instrumentation] Error in sink', ex);
+                }
+            });
+        }
+
+        recent() {
+            return this.recentEvents.toArray();
+        }
+
+        start() {
+            this.timer = window.setInterval(() => {
+                this.flush();
+            }, this.flushInterval);
+        }
+
+        stop() {
+            if (this.timer !== null) {
+                window.clearInterval(this.timer);
+                this.timer = null;
+            }
+            this.flush();
+        }
+    }
+
+    return {
+        EVENT_SCHEMAS,
+        Instrumentation,
+        ConsoleSink,
+        HttpSink,
+        GtagSink
+    };
+});
@@ -0,0 +1,103 @@
+define([], () => {
+    /*
+     * A validator for the subset of JSON Schema used to describe messages:
+     *   type - a type name or list of them: string, number, integer, boolean,
+     *          object, array, null
+     *   enum, pattern, minLength (strings), minimum, maximum (numbers)
+     *   properties, required, additionalProperties (boolean only)
+     *   items (a single schema)
+     *   anyOf
+     * An empty schema accepts any value, including undefined.
+     */
+
+    function typeOf(value) {
+        if (value === null) {
+            return 'null';
+        }
+        if (value instanceof Array) {
+            return 'array';
+        }
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        default:
+            return typeOf(value) === type;
+        }
+    }
+
+    function validateAt(schema, value, path, errors) {
+        if (schema.anyOf) {
+            const matches = schema.anyOf.some((subSchema) => {
+                return validateAt(subSchema, value, path, []).length === 0;
+            });
+            if (!matches) {
+                errors.push(`${path}: does not match any of the allowed schemas`);
+                return errors;
+            }
+        }
+        if (schema.type) {
+            const types = schema.type instanceof Array ? schema.type : [schema.type];
+            if (!types.some((type) => {
+                return matchesType(value, type);
+            })) {
+                errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+                return errors;
+            }
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path}: expected one of ${schema.enum.join(', ')}`);
+        }
+        if (typeof value === 'string') {
+            if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+                errors.push(`${path}: shorter than ${schema.minLength}`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push(`${path}: does not match ${schema.pattern}`);
+            }
+        }
+        if (typeof value === 'number') {
+            if (typeof schema.minimum === 'number' && value < schema.minimum) {
+                errors.push(`${path}: less than ${schema.minimum}`);
+            }
+            if (typeof schema.maximum === 'number' && value > schema.maximum) {
+                errors.push(`${path}: greater than ${schema.maximum}`);
+            }
+        }
+        if (typeOf(value) === 'object') {
+            const properties = schema.properties || {};
+            (schema.required || []).forEach((name) => {
+                if (!(name in value)) {
+                    errors.push(`${path}: missing required property "${name}"`);
+                }
+            });
+            Object.keys(value).forEach((name) => {
+                if (properties[name]) {
+                    validateAt(properties[name], value[name], `${path}.${name}`, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${path}: unexpected property "${name}"`);
+                }
+            });
+        }
+        if (typeOf(value) === 'array' && schema.items) {
+            value.forEach((item, index) => {
+                validateAt(schema.items, item, `${path}[${index}]`, errors);
+            });
+        }
+        return errors;
+    }
+
+    // Returns the list of validation errors, which is empty for a valid value.
+    function validate(schema, value) {
+        return validateAt(schema, value, '$', []);
+    }
+
+    return {
+        validate
+    };
+});
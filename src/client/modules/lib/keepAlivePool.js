@@ -0,0 +1,63 @@
+define([], () => {
+    /*
+     * A bounded pool of live items, by key. When the pool grows beyond its
+     * limit, the least recently used items are evicted, and handed to the
+     * onEvict callback to be disposed of.
+     */
+    class KeepAlivePool {
+        constructor({limit, onEvict}) {
+            this.limit = limit;
+            this.onEvict = onEvict;
+            // A Map iterates in insertion order, so the least recently used
+            // item is always first.
+            this.items = new Map();
+        }
+
+        has(key) {
+            return this.items.has(key);
+        }
+
+        // Returns the item, marking it as the most recently used.
+        get(key) {
+            if (!this.items.has(key)) {
+                return null;
+            }
+            const item = this.items.get(key);
+            this.items.delete(key);
+            this.items.set(key, item);
+            return item;
+        }
+
+        add(key, item) {
+            this.items.delete(key);
+            this.items.set(key, item);
+            while (this.items.size > this.limit) {
+                const [oldestKey, oldestItem] = this.items.entries().next().value;
+                this.items.delete(oldestKey);
+                this.onEvict(oldestKey, oldestItem);
+            }
+        }
+
+        // Removes the item without evicting it.
+        remove(key) {
+            const item = this.items.get(key) || null;
+            this.items.delete(key);
+            return item;
+        }
+
+        keys() {
+            return Array.from(this.items.keys());
+        }
+
+        // Evicts all items.
+        clear() {
+            const items = this.items;
+            this.items = new Map();
+            items.forEach((item, key) => {
+                this.onEvict(key, item);
+            });
+        }
+    }
+
+    return KeepAlivePool;
+});
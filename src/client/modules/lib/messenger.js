@@ -14,6 +14,8 @@ define([
             this.listeners = {};
             this.subId = 0;
             this.queue = new AsyncQueue();
+            // Called with exceptions thrown by message handlers; see onHandlerError.
+            this.errorListeners = [];
         }
 
         nextSubId() {
@@ -60,6 +62,23 @@ define([
             };
         }
 
+        // Adds a listener for exceptions thrown by message handlers, which
+        // would otherwise be lost in the queue. The listener is called with the
+        // exception and {channel, message}.
+        onHandlerError(listener) {
+            this.errorListeners.push(listener);
+        }
+
+        notifyHandlerError(ex, channel, message) {
+            this.errorListeners.forEach((listener) => {
+                try {
+                    listener(ex, {channel, message});
+                } catch (listenerEx) {
+                    console.error('Error in message handler error listener', listenerEx);
+                }
+            });
+        }
+
         drop(sub) {
             return this.unreceive(sub);
         }
@@ -108,6 +127,7 @@ define([
                             subDef.handler(pubDef.data);
                         } catch (ex) {
                             console.error(ex);
+                            this.notifyHandlerError(ex, channelName, messageName);
                             throw new lang.UIError({
                                 type: 'RuntimeError',
                                 reason: 'MessageHandlerError',
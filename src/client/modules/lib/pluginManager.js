@@ -1,14 +1,178 @@
-define(['bluebird'], (Promise) => {
+define([
+    'bluebird',
+    'semver'
+], (
+    Promise,
+    semver
+) => {
 
     // Note that we use the global require here because we need to
     // update the global confirmation.
     const prequire = Promise.promisify(window.require);
 
+    /*
+     * A plugin may be loaded lazily, by setting "lazy: true" for it in the
+     * plugins config. At startup only the services in its manifest -- its
+     * routes and menus -- are installed, so that it may be navigated to.
+     * The remainder of the plugin, its styles, modules and other service
+     * installs, is loaded the first time one of its routes is hit.
+     */
+    const MANIFEST_SERVICES = ['route', 'routes', 'menu', 'menus'];
+
+    // Install stages; a plugin which is not lazy is installed all at once.
+    // The manifest stage is also used to install the routes and menu items of
+    // a failed plugin, so that they display the failure.
+    const STAGE_ALL = 'all';
+    const STAGE_MANIFEST = 'manifest';
+    const STAGE_DEFERRED = 'deferred';
+
+    function inStage(serviceName, stage) {
+        switch (stage) {
+        case STAGE_MANIFEST:
+            return MANIFEST_SERVICES.includes(serviceName);
+        case STAGE_DEFERRED:
+            return !MANIFEST_SERVICES.includes(serviceName);
+        default:
+            return true;
+        }
+    }
+
+    // The problems are also available by plugin, in pluginProblems, as a map
+    // of plugin name to its problems.
+    class PluginDependencyError extends Error {
+        constructor(pluginProblems) {
+            const problems = Array.from(pluginProblems.values()).reduce((problems, pluginProblems) => {
+                return problems.concat(pluginProblems.filter((problem) => {
+                    return !problems.includes(problem);
+                }));
+            }, []);
+            super('Plugin dependencies could not be resolved: ' + problems.join('; '));
+            this.problems = problems;
+            this.pluginProblems = pluginProblems;
+            this.name = 'PluginDependencyError';
+        }
+    }
+
+    // An internal plugin may carry its version in its package config; an
+    // external plugin's version is that given in the plugins config.
+    function pluginVersion(pluginDef, pluginConfig) {
+        return (pluginConfig.package && pluginConfig.package.version) || pluginDef.version || null;
+    }
+
+    // Where a plugin came from, as given in the plugins config.
+    function pluginSource(pluginDef) {
+        const source = pluginDef.source;
+        if (source && source.github) {
+            const account = source.github.account || 'kbase';
+            const repo = source.github.name || pluginDef.globalName;
+            return {
+                kind: 'github',
+                account,
+                repo,
+                url: source.github.url || `https://github.com/${account}/${repo}`
+            };
+        }
+        if (source && source.directory) {
+            return {kind: 'directory', path: source.directory.path};
+        }
+        return {kind: 'internal'};
+    }
+
+    // The menu items a plugin defines, which may be given as a list or as
+    // {items}.
+    function pluginMenuItems(pluginConfig) {
+        const install = pluginConfig.services || pluginConfig.install || {};
+        const menus = install.menu || install.menus || [];
+        return (menus instanceof Array ? menus : menus.items || []).map((menuItem) => {
+            const definition = menuItem.definition || menuItem;
+            return {
+                name: menuItem.name,
+                label: definition.label,
+                route: definition.route,
+                path: definition.path
+            };
+        });
+    }
+
+    /*
+     * Given a dependency graph in which every node has at least one
+     * dependency, returns a path around one of its cycles, e.g. [a, b, a].
+     */
+    function findCycle(dependencyGraph) {
+        const path = [];
+        let current = dependencyGraph.keys().next().value;
+        while (!path.includes(current)) {
+            path.push(current);
+            current = dependencyGraph.get(current).values().next().value;
+        }
+        return path.slice(path.indexOf(current)).concat([current]);
+    }
+
     class PluginManager {
         constructor({ runtime, moduleBase }) {
             this.runtime = runtime;
             this.moduleBase = moduleBase || '/modules';
             this.services = {};
+            // Lazy plugins, by name, as {pluginDef, pluginConfig, options, loading}
+            // where loading is the promise of the deferred install once started.
+            this.lazyPlugins = {};
+            // Installed plugins, by name, as {version}
+            this.installedPlugins = {};
+            // Plugins which failed to install or load, by name, as
+            // {pluginName, stage, message, error}; see failPlugin.
+            this.failedPlugins = {};
+            // All plugins, including disabled and failed ones, by name; see
+            // registerPlugin.
+            this.registry = {};
+        }
+
+        /*
+         * The registry records the inventory of plugins. The status of a plugin
+         * is one of:
+         *   disabled - disabled in the plugins config
+         *   pending - not yet installed
+         *   installed - fully installed
+         *   registered - a lazy plugin whose manifest is installed
+         *   loading, loaded - a lazy plugin being, or having been, loaded
+         *   failed - see the failure property
+         * Durations are in milliseconds.
+         */
+        registerPlugin(pluginName, pluginDef, pluginConfig) {
+            const packageConfig = (pluginConfig && pluginConfig.package) || {};
+            const entry = {
+                name: pluginName,
+                title: packageConfig.title || null,
+                description: packageConfig.description || null,
+                version: pluginConfig ? pluginVersion(pluginDef, pluginConfig) : pluginDef.version || null,
+                type: pluginConfig ? packageConfig.type || 'iframe' : null,
+                source: pluginSource(pluginDef),
+                lazy: pluginDef.lazy ? true : false,
+                keepAlive: pluginDef.keepAlive ? true : false,
+                menuItems: pluginConfig ? pluginMenuItems(pluginConfig) : [],
+                // The host api capabilities declared by an iframe plugin, if
+                // any; see pluginSupport/hostApi.
+                capabilities: (pluginConfig && pluginConfig.host && pluginConfig.host.capabilities) || null,
+                status: pluginDef.disabled ? 'disabled' : 'pending',
+                installDuration: null,
+                loadDuration: null,
+                failure: null
+            };
+            this.registry[pluginName] = entry;
+            return entry;
+        }
+
+        updatePlugin(pluginName, update) {
+            if (this.registry[pluginName]) {
+                Object.assign(this.registry[pluginName], update);
+            }
+        }
+
+        getPlugin(pluginName) {
+            return this.registry[pluginName] || null;
+        }
+
+        listPlugins() {
+            return Object.values(this.registry);
         }
 
         /*
@@ -58,7 +222,27 @@ define(['bluebird'], (Promise) => {
             });
         }
 
-        installLegacyPlugin(pluginLocation, pluginDef) {
+        installServices(pluginConfig, pluginDef, stage) {
+            const serviceConfigs = pluginDef.services || pluginDef.install;
+            if (!serviceConfigs) {
+                return null;
+            }
+            const installSteps = [];
+            Object.keys(serviceConfigs).forEach((serviceName) => {
+                if (!inStage(serviceName, stage)) {
+                    return;
+                }
+                const installDef = serviceConfigs[serviceName];
+                const installationPromise = this.installIntoService(serviceName, installDef, pluginConfig, pluginDef);
+                if (installationPromise) {
+                    this.arrayExtend(installSteps, [installationPromise]);
+                }
+            });
+            // Do all of the install steps.
+            return Promise.all(installSteps);
+        }
+
+        installLegacyPlugin(pluginLocation, pluginDef, stage = STAGE_ALL) {
             // build up a list of modules and add them to the require config.
             return Promise.try(() => {
                 const paths = {};
@@ -68,6 +252,18 @@ define(['bluebird'], (Promise) => {
 
                 let usingSourceModules = false;
 
+                const pluginConfig = {
+                    usingSourceModules: usingSourceModules,
+                    root: sourcePath,
+                    moduleRoot: sourcePath + '/modules',
+                    resourcesRoot: this.moduleBase + '/' + sourcePath + '/resources'
+                };
+
+                // The manifest needs none of the plugin's modules or styles.
+                if (stage === STAGE_MANIFEST) {
+                    return this.installServices(pluginConfig, pluginDef, stage);
+                }
+
                 // load any styles.
                 // NB these are styles for the plugin as a whole.
                 if (pluginDef.source) {
@@ -132,29 +328,14 @@ define(['bluebird'], (Promise) => {
                     };
                 });
 
-                const pluginConfig = {
-                    usingSourceModules: usingSourceModules,
-                    root: sourcePath,
-                    moduleRoot: sourcePath + '/modules',
-                    resourcesRoot: this.moduleBase + '/' + sourcePath + '/resources'
-                };
+                pluginConfig.usingSourceModules = usingSourceModules;
 
                 // Now install any ui service configuration.
                 const serviceConfigs = pluginDef.services || pluginDef.install;
                 if (serviceConfigs) {
                     return prequire(dependencies)
                         .then(() => {
-                            const installSteps = [];
-
-                            Object.keys(serviceConfigs).forEach((serviceName) => {
-                                const installDef = serviceConfigs[serviceName];
-                                const installationPromise = this.installIntoService(serviceName, installDef, pluginConfig, pluginDef);
-                                if (installationPromise) {
-                                    this.arrayExtend(installSteps, [installationPromise]);
-                                }
-                            });
-                            // Do all of the install steps.
-                            return Promise.all(installSteps);
+                            return this.installServices(pluginConfig, pluginDef, stage);
                         });
                 } else {
                     return null;
@@ -162,7 +343,7 @@ define(['bluebird'], (Promise) => {
             });
         }
 
-        installIFramePlugin(pluginLocation, pluginDef, options) {
+        installIFramePlugin(pluginLocation, pluginDef, options, stage = STAGE_ALL) {
             // build up a list of modules and add them to the require config.
             return Promise.try(() => {
                 const sourcePath = pluginLocation.directory;
@@ -182,17 +363,7 @@ define(['bluebird'], (Promise) => {
                 const serviceConfigs = pluginDef.services || pluginDef.install;
                 if (serviceConfigs) {
                     return prequire(dependencies).then(() => {
-                        const installSteps = [];
-
-                        Object.keys(serviceConfigs).forEach((serviceName) => {
-                            const installDef = serviceConfigs[serviceName];
-                            const installationPromise = this.installIntoService(serviceName, installDef, pluginConfig, pluginDef);
-                            if (installationPromise) {
-                                this.arrayExtend(installSteps, [installationPromise]);
-                            }
-                        });
-                        // Do all of the install steps.
-                        return Promise.all(installSteps);
+                        return this.installServices(pluginConfig, pluginDef, stage);
                     });
                 } else {
                     return null;
@@ -200,7 +371,7 @@ define(['bluebird'], (Promise) => {
             });
         }
 
-        installPlugin(pluginLocation, pluginDef, options) {
+        installPlugin(pluginLocation, pluginDef, options, stage) {
             // build up a list of modules and add them to the require config.
             return Promise.try(() => {
                 // Plugin type - legacy or iframe.
@@ -208,9 +379,9 @@ define(['bluebird'], (Promise) => {
 
                 switch (pluginType) {
                 case 'legacy':
-                    return this.installLegacyPlugin(pluginLocation, pluginDef);
+                    return this.installLegacyPlugin(pluginLocation, pluginDef, stage);
                 case 'iframe':
-                    return this.installIFramePlugin(pluginLocation, pluginDef, options);
+                    return this.installIFramePlugin(pluginLocation, pluginDef, options, stage);
                 default:
                     throw new Error('Unsupported plugin type: ' + pluginType);
                 }
@@ -241,6 +412,16 @@ define(['bluebird'], (Promise) => {
             });
         }
 
+        loadPluginConfig(pluginDef) {
+            return new Promise((resolve, reject) => {
+                require(['yaml!' + pluginDef.directory + '/config.yml'], (pluginConfig) => {
+                    resolve(pluginConfig);
+                }, (err) => {
+                    reject(err);
+                });
+            });
+        }
+
         /**
          *
          * @param {type} pluginDef
@@ -250,24 +431,306 @@ define(['bluebird'], (Promise) => {
             if (pluginDef.disabled) {
                 return;
             }
-            return new Promise((resolve, reject) => {
-                require(['yaml!' + pluginDef.directory + '/config.yml'], (pluginConfig) => {
-                    this.installPlugin(pluginDef, pluginConfig, options)
-                        .then(() => {
-                            resolve(pluginDef);
-                        })
-                        .catch((err) => {
-                            reject(err);
+            return this.installPlugins({[options.pluginName]: pluginDef})
+                .then(() => {
+                    return pluginDef;
+                });
+        }
+
+        installLoadedPlugin({pluginName, pluginDef, pluginConfig}) {
+            const options = {pluginName};
+            const dependencies = pluginConfig.dependencies || {};
+            const start = Date.now();
+            // A plugin which depends on a lazy plugin needs it fully loaded; a
+            // lazy plugin loads its dependencies when it is itself loaded.
+            return Promise.each(Object.keys(dependencies.plugins || {}), (dependencyName) => {
+                if (this.failedPlugins[dependencyName]) {
+                    throw new Error(`The plugin "${dependencyName}", which this plugin requires, failed`);
+                }
+                if (pluginDef.lazy) {
+                    return;
+                }
+                return this.ensurePluginLoaded(dependencyName);
+            })
+                .then(() => {
+                    if (!pluginDef.lazy) {
+                        return this.installPlugin(pluginDef, pluginConfig, options);
+                    }
+                    this.lazyPlugins[pluginName] = {
+                        pluginDef, pluginConfig, options, loading: null
+                    };
+                    return this.installPlugin(pluginDef, pluginConfig, options, STAGE_MANIFEST);
+                })
+                .then(() => {
+                    this.installedPlugins[pluginName] = {
+                        version: pluginVersion(pluginDef, pluginConfig)
+                    };
+                    this.updatePlugin(pluginName, {
+                        status: pluginDef.lazy ? 'registered' : 'installed',
+                        installDuration: Date.now() - start
+                    });
+                });
+        }
+
+        isPluginLoaded(pluginName) {
+            if (this.failedPlugins[pluginName]) {
+                return false;
+            }
+            const lazyPlugin = this.lazyPlugins[pluginName];
+            return !lazyPlugin || (lazyPlugin.loading !== null && lazyPlugin.loading.isFulfilled());
+        }
+
+        /*
+         * Completes the install of a lazy plugin, if it has not been already,
+         * along with any lazy plugins it depends upon.
+         * Any plugin which is not lazy is installed at startup, so is already
+         * loaded.
+         * A plugin which fails to load is failed like one which fails to
+         * install; the promise rejects with the failure error.
+         */
+        ensurePluginLoaded(pluginName) {
+            const failure = this.failedPlugins[pluginName];
+            if (failure) {
+                return Promise.reject(failure.error);
+            }
+            const lazyPlugin = this.lazyPlugins[pluginName];
+            if (!lazyPlugin) {
+                return Promise.resolve();
+            }
+            if (lazyPlugin.loading === null) {
+                const {pluginDef, pluginConfig, options} = lazyPlugin;
+                const dependencies = pluginConfig.dependencies || {};
+                const start = Date.now();
+                this.updatePlugin(pluginName, {status: 'loading'});
+                lazyPlugin.loading = Promise.each(Object.keys(dependencies.plugins || {}), (dependencyName) => {
+                    return this.ensurePluginLoaded(dependencyName);
+                })
+                    .then(() => {
+                        return this.installPlugin(pluginDef, pluginConfig, options, STAGE_DEFERRED);
+                    })
+                    .then(() => {
+                        this.updatePlugin(pluginName, {
+                            status: 'loaded',
+                            loadDuration: Date.now() - start
                         });
+                    })
+                    .catch((err) => {
+                        this.failPlugin(pluginName, pluginDef, 'load', err);
+                        throw err;
+                    });
+            }
+            return lazyPlugin.loading;
+        }
+
+        /*
+         * A plugin which fails is disabled and recorded, rather than failing
+         * the ui as a whole. The routes and menu items of a plugin which failed
+         * to install are still installed if possible (unless they already
+         * were), so that they display the failure rather than not being found,
+         * and so that the menus which list its items may still be built.
+         */
+        failPlugin(pluginName, pluginDef, stage, error, pluginConfig) {
+            console.error(`Plugin "${pluginName}" failed (${stage})`, error);
+            pluginDef.disabled = true;
+            const failure = {
+                pluginName,
+                stage,
+                message: error && error.message ? error.message : String(error),
+                error
+            };
+            this.failedPlugins[pluginName] = failure;
+            this.updatePlugin(pluginName, {status: 'failed', failure});
+            if (!pluginConfig || this.runtime.service('route').hasPluginRoutes(pluginName)) {
+                return Promise.resolve();
+            }
+            return this.installPlugin(pluginDef, pluginConfig, {pluginName}, STAGE_MANIFEST)
+                .catch((err) => {
+                    console.error(`Could not install the manifest of failed plugin "${pluginName}"`, err);
                 });
+        }
+
+        getPluginFailure(pluginName) {
+            return this.failedPlugins[pluginName] || null;
+        }
+
+        listPluginFailures() {
+            return Object.values(this.failedPlugins);
+        }
+
+        /*
+         * Checks the dependencies declared in each plugin's config, and
+         * returns the plugins in an order in which each is installed after
+         * the plugins it depends upon; otherwise throws PluginDependencyError
+         * listing all the problems found.
+         *
+         * The dependencies section of a plugin config may contain:
+         *   plugins - a map of plugin name to semver range (or "*")
+         *   services - a list of the app services required
+         *   coreServices - a list of the core (network) services required
+         * A plugin dependency may be upon a plugin already installed (e.g. in
+         * a prior plugin set) or upon one being installed with it.
+         */
+        resolveInstallOrder(plugins) {
+            const problems = new Map();
+            const addProblem = (pluginName, problem) => {
+                if (!problems.has(pluginName)) {
+                    problems.set(pluginName, []);
+                }
+                problems.get(pluginName).push(problem);
+            };
+            const byName = new Map(plugins.map((plugin) => {
+                return [plugin.pluginName, plugin];
+            }));
+            const coreServices = this.runtime.config('coreServices', []).map(({module}) => {
+                return module;
             });
+
+            const dependencyGraph = new Map();
+            plugins.forEach(({pluginName, pluginConfig}) => {
+                const dependencies = pluginConfig.dependencies || {};
+                const dependsOn = new Set();
+
+                Object.entries(dependencies.plugins || {}).forEach(([dependencyName, range]) => {
+                    let version;
+                    if (byName.has(dependencyName)) {
+                        const dependency = byName.get(dependencyName);
+                        version = pluginVersion(dependency.pluginDef, dependency.pluginConfig);
+                        dependsOn.add(dependencyName);
+                    } else if (this.installedPlugins[dependencyName]) {
+                        version = this.installedPlugins[dependencyName].version;
+                    } else if (this.failedPlugins[dependencyName]) {
+                        addProblem(pluginName, `plugin "${pluginName}" requires plugin "${dependencyName}" (${range}), which failed`);
+                        return;
+                    } else {
+                        addProblem(pluginName, `plugin "${pluginName}" requires plugin "${dependencyName}" (${range}), which is not installed`);
+                        return;
+                    }
+                    if (range !== '*' && !(version && semver.satisfies(version, range))) {
+                        addProblem(pluginName, `plugin "${pluginName}" requires plugin "${dependencyName}" (${range}), ` +
+                            `but version ${version || 'unknown'} is installed`);
+                    }
+                });
+
+                (dependencies.services || []).forEach((serviceName) => {
+                    if (!this.runtime.hasService(serviceName)) {
+                        addProblem(pluginName, `plugin "${pluginName}" requires the app service "${serviceName}", which is not available`);
+                    }
+                });
+
+                (dependencies.coreServices || []).forEach((serviceName) => {
+                    if (!coreServices.includes(serviceName)) {
+                        addProblem(pluginName, `plugin "${pluginName}" requires the core service "${serviceName}", which is not configured`);
+                    }
+                });
+
+                dependencyGraph.set(pluginName, dependsOn);
+            });
+
+            // Order the plugins by repeatedly taking those with no outstanding
+            // dependencies, in their original order. Whatever remains is in, or
+            // depends upon, a cycle.
+            const ordered = [];
+            while (dependencyGraph.size > 0) {
+                const ready = plugins.filter(({pluginName}) => {
+                    return dependencyGraph.has(pluginName) && dependencyGraph.get(pluginName).size === 0;
+                });
+                if (ready.length === 0) {
+                    const cycle = findCycle(dependencyGraph);
+                    const problem = 'cyclic plugin dependency: ' + cycle.join(' -> ');
+                    cycle.slice(1).forEach((pluginName) => {
+                        addProblem(pluginName, problem);
+                    });
+                    break;
+                }
+                ready.forEach((plugin) => {
+                    ordered.push(plugin);
+                    dependencyGraph.delete(plugin.pluginName);
+                    dependencyGraph.forEach((dependsOn) => {
+                        dependsOn.delete(plugin.pluginName);
+                    });
+                });
+            }
+
+            if (problems.size > 0) {
+                throw new PluginDependencyError(problems);
+            }
+            return ordered;
+        }
+
+        /*
+         * As resolveInstallOrder, but plugins with dependency problems are
+         * failed and left out, along with any plugins which in turn depend on
+         * them. Returns a promise of the install order, once the failed
+         * plugins have been dealt with.
+         */
+        resolveContainedInstallOrder(plugins) {
+            const failures = [];
+            let candidates = plugins;
+            for (;;) {
+                try {
+                    const ordered = this.resolveInstallOrder(candidates);
+                    return Promise.all(failures)
+                        .then(() => {
+                            return ordered;
+                        });
+                } catch (ex) {
+                    if (!(ex instanceof PluginDependencyError)) {
+                        return Promise.reject(ex);
+                    }
+                    ex.pluginProblems.forEach((problems, pluginName) => {
+                        const {pluginDef, pluginConfig} = candidates.find((plugin) => {
+                            return plugin.pluginName === pluginName;
+                        });
+                        failures.push(this.failPlugin(pluginName, pluginDef, 'dependencies', new Error(problems.join('; ')), pluginConfig));
+                    });
+                    candidates = candidates.filter(({pluginName}) => {
+                        return !ex.pluginProblems.has(pluginName);
+                    });
+                }
+            }
         }
 
         installPlugins(pluginDefs) {
-            const loaders = Object.keys(pluginDefs).map((pluginName) => {
-                return this.loadPlugin(pluginDefs[pluginName], {pluginName});
+            const enabledPlugins = Object.keys(pluginDefs).filter((pluginName) => {
+                if (pluginDefs[pluginName].disabled) {
+                    this.registerPlugin(pluginName, pluginDefs[pluginName], null);
+                    return false;
+                }
+                return true;
             });
-            return Promise.all(loaders);
+            // A plugin which fails at any point is contained; the others are
+            // installed regardless.
+            return Promise.all(enabledPlugins.map((pluginName) => {
+                const pluginDef = pluginDefs[pluginName];
+                return this.loadPluginConfig(pluginDef)
+                    .then((pluginConfig) => {
+                        this.registerPlugin(pluginName, pluginDef, pluginConfig);
+                        return {pluginName, pluginDef, pluginConfig};
+                    })
+                    .catch((err) => {
+                        this.registerPlugin(pluginName, pluginDef, null);
+                        return this.failPlugin(pluginName, pluginDef, 'config', err)
+                            .then(() => {
+                                return null;
+                            });
+                    });
+            }))
+                .then((plugins) => {
+                    const loadedPlugins = plugins.filter((plugin) => {
+                        return plugin !== null;
+                    });
+                    return this.resolveContainedInstallOrder(loadedPlugins);
+                })
+                .then((ordered) => {
+                    // Plugins are installed one at a time, so that each may rely
+                    // upon those it depends upon.
+                    return Promise.each(ordered, (plugin) => {
+                        return this.installLoadedPlugin(plugin)
+                            .catch((err) => {
+                                return this.failPlugin(plugin.pluginName, plugin.pluginDef, 'install', err, plugin.pluginConfig);
+                            });
+                    });
+                });
         }
 
         // plugins are in an array of arrays. each top level array is processed
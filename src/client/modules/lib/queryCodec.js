@@ -0,0 +1,195 @@
+define([], () => {
+    /*
+     * A query string codec.
+     *
+     * In the default "typed" form, any params value which can be represented
+     * as JSON survives a round trip through the query string:
+     *   strings are encoded as is: name=value
+     *   numbers and booleans carry a type suffix on the key: count:n=3, on:b=true
+     *   arrays are encoded as repeated keys with a "[]" suffix, each element
+     *     encoded as above: type[]=a&type[]=b, id[]:n=1
+     *   anything else (null, objects, nested arrays, empty arrays) is encoded as
+     *     JSON: filter:j={"a":1}
+     * Plain strings are unchanged, so existing urls decode as before, and a
+     * plain key which is repeated decodes as an array of strings.
+     *
+     * The "plain" form ({typed: false}) is ordinary form encoding, for urls
+     * consumed by other services: arrays as repeated keys, other scalars as
+     * strings and objects as JSON, with no type suffixes. It does not
+     * round trip.
+     *
+     * The "legacy" form (encodeLegacyQuery) is how the ui encoded queries
+     * before this codec, and is still expected by external targets, such as
+     * the Narrative, and by existing iframe plugins: one field per key, with
+     * arrays as comma-separated values.
+     */
+
+    const TYPE_SUFFIXES = ['n', 'b', 'j'];
+
+    function encodeField(key, value, suffix = '') {
+        return encodeURIComponent(key) + suffix + '=' + encodeURIComponent(value);
+    }
+
+    // The suffixes are added to the encoded key; see parseKey.
+    function encodeTypedValue(key, value, arraySuffix = '') {
+        switch (typeof value) {
+        case 'string':
+            return encodeField(key, value, arraySuffix);
+        case 'number':
+            if (Number.isFinite(value)) {
+                return encodeField(key, value, arraySuffix + ':n');
+            }
+            break;
+        case 'boolean':
+            return encodeField(key, value, arraySuffix + ':b');
+        }
+        return encodeField(key, JSON.stringify(value), arraySuffix + ':j');
+    }
+
+    function encodeTyped(key, value) {
+        if (value instanceof Array && value.length > 0 && value.every((element) => {
+            return !(element instanceof Array);
+        })) {
+            return value.map((element) => {
+                return encodeTypedValue(key, element, '[]');
+            });
+        }
+        return [encodeTypedValue(key, value)];
+    }
+
+    function encodePlain(key, value) {
+        if (value instanceof Array) {
+            return value.map((element) => {
+                return encodePlain(key, element)[0];
+            });
+        }
+        if (value !== null && typeof value === 'object') {
+            return [encodeField(key, JSON.stringify(value))];
+        }
+        return [encodeField(key, value)];
+    }
+
+    /*
+     * Encodes a params object as a query string, without the leading "?".
+     * Params with an undefined value are omitted.
+     */
+    function encodeQuery(params, {typed = true} = {}) {
+        const encode = typed ? encodeTyped : encodePlain;
+        return Object.keys(params)
+            .filter((key) => {
+                return typeof params[key] !== 'undefined';
+            })
+            .reduce((fields, key) => {
+                return fields.concat(encode(key, params[key]));
+            }, [])
+            .join('&');
+    }
+
+    function encodeLegacyValue(value) {
+        if (value instanceof Array) {
+            return value.join(',');
+        }
+        if (value !== null && typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    // Encodes a params object in the legacy form; see above.
+    function encodeLegacyQuery(params) {
+        return Object.keys(params)
+            .filter((key) => {
+                return typeof params[key] !== 'undefined';
+            })
+            .map((key) => {
+                return encodeField(key, encodeLegacyValue(params[key]));
+            })
+            .join('&');
+    }
+
+    // A value which does not decode as its type is kept as the raw string.
+    function decodeValue(value, type) {
+        switch (type) {
+        case 'n': {
+            const number = Number(value);
+            return value.trim().length === 0 || Number.isNaN(number) ? value : number;
+        }
+        case 'b':
+            if (value === 'true') {
+                return true;
+            }
+            if (value === 'false') {
+                return false;
+            }
+            return value;
+        case 'j':
+            try {
+                return JSON.parse(value);
+            } catch (ex) {
+                return value;
+            }
+        default:
+            return value;
+        }
+    }
+
+    function parseKey(rawKey, typed) {
+        let type = null;
+        let isArray = false;
+        if (typed) {
+            // The suffixes are outside of the encoded key, so a ":" or "[]" in
+            // a key (which are encoded) cannot be mistaken for them.
+            const pos = rawKey.lastIndexOf(':');
+            if (pos >= 0 && TYPE_SUFFIXES.includes(rawKey.slice(pos + 1))) {
+                type = rawKey.slice(pos + 1);
+                rawKey = rawKey.slice(0, pos);
+            }
+            if (rawKey.slice(-2) === '[]') {
+                isArray = true;
+                rawKey = rawKey.slice(0, -2);
+            }
+        }
+        return {key: decodeURIComponent(rawKey), type, isArray};
+    }
+
+    /*
+     * Decodes a query string, with or without the leading "?", into a params
+     * object.
+     */
+    function decodeQuery(queryString, {typed = true} = {}) {
+        const fields = new Map();
+        queryString.split(/[?&]/).forEach((field) => {
+            if (field.length === 0) {
+                return;
+            }
+            // Only the first "=" separates the key from the value.
+            const pos = field.indexOf('=');
+            const rawKey = pos === -1 ? field : field.slice(0, pos);
+            const rawValue = pos === -1 ? '' : field.slice(pos + 1);
+            const {key, type, isArray} = parseKey(rawKey, typed);
+            if (key.length === 0) {
+                return;
+            }
+            if (!fields.has(key)) {
+                fields.set(key, {isArray, values: []});
+            }
+            const entry = fields.get(key);
+            entry.isArray = entry.isArray || isArray;
+            entry.values.push(decodeValue(decodeURIComponent(rawValue), type));
+        });
+
+        // Array keys, and plain keys which are repeated, take all of their
+        // values.
+        const params = {};
+        fields.forEach(({isArray, values}, key) => {
+            params[key] = isArray || values.length > 1 ? values : values[0];
+        });
+        return params;
+    }
+
+    return {
+        encodeQuery,
+        encodeLegacyQuery,
+        decodeQuery
+    };
+});
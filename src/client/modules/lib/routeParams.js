@@ -0,0 +1,126 @@
+define([], () => {
+
+    class ParamValidationError extends Error {
+        constructor({name, value, expected, message}) {
+            super(message || `Invalid value for param "${name}"; expected ${expected}`);
+            this.param = name;
+            this.value = value;
+            this.expected = expected;
+            this.name = 'ParamValidationError';
+        }
+    }
+
+    const INT_RE = /^-?\d+$/;
+    // A workspace object reference: workspace/object or workspace/object/version.
+    // In a route path it spans segments, and so is matched as a rest element.
+    const REF_RE = /^\d+\/\d+(?:\/\d+)?$/;
+    const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+    /*
+     * The param value types. Each validates a raw string value against a param
+     * spec, returning the coerced value, or throwing ParamValidationError.
+     */
+    const PARAM_TYPES = {
+        int: (value, spec) => {
+            if (!INT_RE.test(value)) {
+                throw new ParamValidationError({name: spec.name, value, expected: 'an integer'});
+            }
+            return parseInt(value, 10);
+        },
+        ref: (value, spec) => {
+            if (!REF_RE.test(value)) {
+                throw new ParamValidationError({name: spec.name, value, expected: 'an object reference like 1/2/3'});
+            }
+            return value;
+        },
+        uuid: (value, spec) => {
+            if (!UUID_RE.test(value)) {
+                throw new ParamValidationError({name: spec.name, value, expected: 'a uuid'});
+            }
+            return value.toLowerCase();
+        },
+        enum: (value, spec) => {
+            if (!spec.values.includes(value)) {
+                throw new ParamValidationError({name: spec.name, value, expected: 'one of ' + spec.values.join(', ')});
+            }
+            return value;
+        },
+        regexp: (value, spec) => {
+            if (!new RegExp(spec.pattern).test(value)) {
+                throw new ParamValidationError({name: spec.name, value, expected: 'a match for ' + spec.pattern});
+            }
+            return value;
+        }
+    };
+
+    /*
+     * Parses the type annotation of a compact param spec into the param
+     * spec properties "valueType", and "values" or "pattern":
+     *   int, ref, uuid
+     *   enum:view|edit
+     *   regexp:^[A-Z]+$
+     * Note that in string path specs a pattern may not contain "/", "?", "&"
+     * or "=", as these delimit the spec itself; use the object form instead.
+     */
+    function parseTypeAnnotation(annotation) {
+        const [valueType, ...rest] = annotation.split(':');
+        const argument = rest.join(':');
+        if (!PARAM_TYPES[valueType]) {
+            throw new Error(`Unknown param type "${valueType}"`);
+        }
+        switch (valueType) {
+        case 'enum':
+            return {valueType, values: argument.split('|')};
+        case 'regexp':
+            return {valueType, pattern: argument};
+        default:
+            return {valueType};
+        }
+    }
+
+    /*
+     * Parses a compact param spec, the part after the ":", e.g. "id",
+     * "-version" or "id(int)", into a param spec.
+     */
+    function parseParamSpec(spec) {
+        const optional = spec.charAt(0) === '-';
+        const m = /^([^(]+)(?:\((.*)\))?$/.exec(optional ? spec.slice(1) : spec);
+        if (!m) {
+            throw new Error(`Invalid param spec "${spec}"`);
+        }
+        const paramSpec = {
+            type: 'param',
+            name: m[1],
+            optional
+        };
+        if (m[2]) {
+            Object.assign(paramSpec, parseTypeAnnotation(m[2]));
+        }
+        return paramSpec;
+    }
+
+    // Validates and coerces a raw value for a param spec. Untyped params are
+    // passed through as is. A query param may have multiple values, each of
+    // which is coerced.
+    function coerceParam(value, spec) {
+        if (!spec.valueType) {
+            return value;
+        }
+        const paramType = PARAM_TYPES[spec.valueType];
+        if (!paramType) {
+            throw new Error(`Unknown param type "${spec.valueType}"`);
+        }
+        if (value instanceof Array) {
+            return value.map((element) => {
+                return paramType(String(element), spec);
+            });
+        }
+        return paramType(String(value), spec);
+    }
+
+    return {
+        ParamValidationError,
+        parseParamSpec,
+        coerceParam
+    };
+});
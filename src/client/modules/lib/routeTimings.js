@@ -0,0 +1,155 @@
+define([], () => {
+    /*
+     * Times the phases of visiting a route. Each phase is recorded as a User
+     * Timing measure named "kbase-ui:<phase>", so shows up in the browser's
+     * performance tools, and its duration is aggregated per route.
+     *
+     * A visit begins when the route service handles a route request, and is
+     * given its route once it is found. The phases are:
+     *   navigate - from an "app/navigate" message until the route request
+     *   route - from the route request until the route is dispatched,
+     *     including plugin loading, guards and resolvers
+     *   require - loading the module of the route component
+     *   render - the first render of the route component
+     *   handshake - from creating a plugin iframe until the plugin has started
+     *
+     * A phase is timed with start, which returns a span for end, or for
+     * discard if the phase did not complete; either way its marks are
+     * cleared. A span belongs to the visit current when it was started.
+     */
+    class RouteTimings {
+        constructor({performance} = {}) {
+            this.performance = performance || window.performance;
+            this.visitCount = 0;
+            // Numbers spans, so that each has its own marks.
+            this.spanCount = 0;
+            this.visit = null;
+            this.pendingNavigation = null;
+            // route -> phase -> {count, total, min, max, last}
+            this.routes = new Map();
+        }
+
+        // A navigation precedes the visit it leads to.
+        navigate() {
+            this.pendingNavigation = this.start('navigate');
+        }
+
+        beginVisit() {
+            this.visitCount += 1;
+            this.visit = {
+                id: this.visitCount,
+                route: null,
+                // Aggregated once the route is known.
+                navigateDuration: null
+            };
+            if (this.pendingNavigation) {
+                this.visit.navigateDuration = this.measure(this.pendingNavigation);
+                this.pendingNavigation = null;
+            }
+            return this.visit;
+        }
+
+        setRoute(visit, route) {
+            visit.route = route;
+            if (visit.navigateDuration !== null) {
+                this.aggregate(route, 'navigate', visit.navigateDuration);
+                visit.navigateDuration = null;
+            }
+        }
+
+        start(phase) {
+            const visitId = this.visit ? this.visit.id : 0;
+            this.spanCount += 1;
+            const startMark = `kbase-ui:${phase}:${visitId}.${this.spanCount}:start`;
+            this.performance.mark(startMark);
+            return {
+                visit: this.visit,
+                phase,
+                startMark,
+                started: this.performance.now(),
+                ended: false
+            };
+        }
+
+        // Records the measure for the span, returning its duration in ms.
+        measure(span) {
+            span.ended = true;
+            const duration = this.performance.now() - span.started;
+            const endMark = span.startMark.replace(/:start$/, ':end');
+            this.performance.mark(endMark);
+            try {
+                this.performance.measure(`kbase-ui:${span.phase}`, span.startMark, endMark);
+            } catch (ex) {
+                // The marks may have been cleared by someone else.
+            }
+            this.performance.clearMarks(span.startMark);
+            this.performance.clearMarks(endMark);
+            return duration;
+        }
+
+        // Returns the duration of the phase, in ms, or null if the span has
+        // already been ended or discarded.
+        end(span) {
+            if (span.ended) {
+                return null;
+            }
+            const duration = this.measure(span);
+            this.aggregate((span.visit && span.visit.route) || '(unknown)', span.phase, duration);
+            return duration;
+        }
+
+        // For a phase which did not complete, e.g. a route which failed or was
+        // superseded; nothing is recorded.
+        discard(span) {
+            if (span.ended) {
+                return;
+            }
+            span.ended = true;
+            this.performance.clearMarks(span.startMark);
+        }
+
+        aggregate(route, phase, duration) {
+            if (!this.routes.has(route)) {
+                this.routes.set(route, new Map());
+            }
+            const phases = this.routes.get(route);
+            const stats = phases.get(phase);
+            if (!stats) {
+                phases.set(phase, {
+                    count: 1,
+                    total: duration,
+                    min: duration,
+                    max: duration,
+                    last: duration
+                });
+                return;
+            }
+            stats.count += 1;
+            stats.total += duration;
+            stats.min = Math.min(stats.min, duration);
+            stats.max = Math.max(stats.max, duration);
+            stats.last = duration;
+        }
+
+        // The timings per route, each with the stats for each phase timed.
+        byRoute() {
+            return Array.from(this.routes.entries()).map(([route, phases]) => {
+                return {
+                    route,
+                    phases: Array.from(phases.entries()).map(([phase, stats]) => {
+                        return Object.assign({
+                            phase,
+                            mean: stats.total / stats.count
+                        }, stats);
+                    })
+                };
+            });
+        }
+
+        reset() {
+            this.routes = new Map();
+        }
+    }
+
+    return RouteTimings;
+});
@@ -1,36 +1,34 @@
-define([], () => {
+define([
+    './routeParams',
+    './queryCodec'
+], (
+    routeParams,
+    queryCodec
+) => {
+    const {parseParamSpec, coerceParam, ParamValidationError} = routeParams;
 
     class NotFoundException extends Error {
-        constructor({original, path, params, request, message}) {
+        constructor({original, path, params, request, message, validationErrors}) {
             super(message);
             this.original = original;
             this.path = path;
             this.params = params;
             this.request = request;
+            // Params which did not conform to their type, as
+            // [{param, value, expected, message}]; otherwise empty.
+            this.validationErrors = validationErrors || [];
             this.name = 'NotFoundException';
         }
     }
 
+    // Query strings in ui urls use the typed form of the query codec, so that
+    // params round trip losslessly; see lib/queryCodec.
     function parseQueryString(s) {
-        const fields = s.split(/[?&]/);
-        const params = {};
-        fields.forEach((field) => {
-            if (field.length > 0) {
-                const [key, value] = field.split('=');
-                if (key.length > 0) {
-                    params[decodeURIComponent(key)] = decodeURIComponent(value);
-                }
-            }
-        });
-        return params;
+        return queryCodec.decodeQuery(s);
     }
 
     function paramsToQuery(params) {
-        return Object.keys(params)
-            .map((key) => {
-                return key + '=' + encodeURIComponent(params[key]);
-            })
-            .join('&');
+        return queryCodec.encodeQuery(params);
     }
 
     function getQuery() {
@@ -41,6 +39,222 @@ define([], () => {
         return parseQueryString(query.substr(1));
     }
 
+    function splitPath(path) {
+        return path
+            .split('/')
+            .filter((pathComponent) => {
+                return pathComponent.length > 0;
+            })
+            .map((pathComponent) => {
+                return decodeURIComponent(pathComponent);
+            });
+    }
+
+    // Routing modes.
+    // In "hash" mode, the ui path is carried in the url fragment (#dashboard).
+    // In "path" mode, the ui path is the url path itself (/dashboard), and
+    // navigation is via the History API.
+    const ROUTING_MODES = ['hash', 'path'];
+
+    // Path element types ranked by specificity; when more than one route
+    // matches a path, the route with the most specific element at the first
+    // point of difference wins.
+    const ELEMENT_SPECIFICITY = {
+        literal: 5,
+        options: 4,
+        regexp: 3,
+        param: 2,
+        typedRest: 1,
+        rest: 0
+    };
+
+    // The specificity key of a typed element.
+    const TYPED_ELEMENT = {
+        param: 'regexp',
+        rest: 'typedRest'
+    };
+
+    function elementSpecificity(element) {
+        // A route which has ended can only have matched by capturing the
+        // extra path, which is the least specific match of all.
+        if (!element) {
+            return -1;
+        }
+        // A typed param constrains its value much as a regexp does, and a
+        // typed rest element is more specific than an untyped one.
+        const type = (element.valueType && TYPED_ELEMENT[element.type]) || element.type;
+        const specificity = ELEMENT_SPECIFICITY[type];
+        if (typeof specificity === 'undefined') {
+            return -1;
+        }
+        return specificity;
+    }
+
+    /*
+     * Orders two routes which both match a path of the given length, most
+     * specific first. Route elements beyond the end of the path were not
+     * used in the match (e.g. optional params), and so don't count.
+     */
+    function compareSpecificity(a, b, pathLength) {
+        for (let i = 0; i < pathLength; i += 1) {
+            const diff = elementSpecificity(b.path[i]) - elementSpecificity(a.path[i]);
+            if (diff !== 0) {
+                return diff;
+            }
+        }
+        // Equally specific routes fall back to install order.
+        return a.order - b.order;
+    }
+
+    // A rest element only acts as such in the final position; elsewhere it is
+    // treated as a regular param.
+    function isRestElement(route, index) {
+        return route.path[index].type === 'rest' && index === route.path.length - 1;
+    }
+
+    function typeShape(element) {
+        return element.valueType ? JSON.stringify([element.valueType, element.values, element.pattern]) : '';
+    }
+
+    /*
+     * The shapes of path a route can match, as strings in which element names
+     * are ignored. Optional trailing params produce a shape for each length.
+     * Two routes sharing a shape are ambiguous -- neither is more specific.
+     */
+    function routeShapes(route) {
+        const shapes = [];
+        const parts = [];
+        route.path.forEach((element, index) => {
+            if (element.optional) {
+                shapes.push(parts.join('/'));
+            }
+            switch (element.type) {
+            case 'literal':
+                parts.push(element.value);
+                break;
+            case 'options':
+                parts.push('(' + element.value.slice().sort().join('|') + ')');
+                break;
+            case 'regexp':
+                parts.push('~' + element.regexp);
+                break;
+            case 'rest':
+                parts.push((isRestElement(route, index) ? '*' : ':') + typeShape(element));
+                break;
+            case 'param':
+                parts.push(':' + typeShape(element));
+                break;
+            default:
+                parts.push(':');
+            }
+        });
+        shapes.push(parts.join('/') + (route.captureExtraPath ? '/*' : ''));
+        return shapes;
+    }
+
+    // A readable form of a route path spec, e.g. "dataview/:workspace/:-version".
+    function describePath(path) {
+        return path.map((element) => {
+            switch (element.type) {
+            case 'literal':
+                return element.value;
+            case 'param':
+                return ':' + (element.optional ? '-' : '') + element.name +
+                    (element.valueType ? `(${element.valueType})` : '');
+            case 'rest':
+                return '*' + (element.name || '') + (element.valueType ? `(${element.valueType})` : '');
+            case 'options':
+                return '(' + element.value.join('|') + ')';
+            default:
+                return '(' + element.type + ')';
+            }
+        }).join('/');
+    }
+
+    class RouteTrieNode {
+        constructor() {
+            // Child nodes for literal path elements, keyed by value.
+            this.literals = new Map();
+            // Child node for any non-literal path element.
+            this.wildcard = null;
+            // Routes which may match a path ending at this node.
+            this.terminals = [];
+            // Routes which may match any path extending past this node.
+            this.extensions = [];
+        }
+    }
+
+    /*
+     * A trie of routes keyed by path element, for looking up the candidate
+     * routes for a path without testing every route. Non-literal elements
+     * (params, options, regexps) share a single wildcard branch; candidates are
+     * confirmed by the router's full path matching.
+     */
+    class RouteTrie {
+        constructor() {
+            this.root = new RouteTrieNode();
+        }
+
+        insert(route) {
+            // Routes ending with "rest", or with "captureExtraPath", also match
+            // any prefix of their path.
+            const isPrefixMatch = route.captureExtraPath ||
+                route.path[route.path.length - 1].type === 'rest';
+            let node = this.root;
+            for (let i = 0; i < route.path.length; i += 1) {
+                const element = route.path[i];
+                const isAllOptional = route.path.slice(i).every((routePathElement) => {
+                    return routePathElement.optional;
+                });
+                if (isPrefixMatch || isAllOptional) {
+                    node.terminals.push(route);
+                }
+                if (isRestElement(route, i)) {
+                    node.extensions.push(route);
+                    return;
+                }
+                if (element.type === 'literal') {
+                    if (!node.literals.has(element.value)) {
+                        node.literals.set(element.value, new RouteTrieNode());
+                    }
+                    node = node.literals.get(element.value);
+                } else {
+                    if (!node.wildcard) {
+                        node.wildcard = new RouteTrieNode();
+                    }
+                    node = node.wildcard;
+                }
+            }
+            node.terminals.push(route);
+            if (route.captureExtraPath) {
+                node.extensions.push(route);
+            }
+        }
+
+        candidates(path) {
+            const found = new Set();
+            const walk = (node, index) => {
+                node.extensions.forEach((route) => {
+                    found.add(route);
+                });
+                if (index === path.length) {
+                    node.terminals.forEach((route) => {
+                        found.add(route);
+                    });
+                    return;
+                }
+                if (node.literals.has(path[index])) {
+                    walk(node.literals.get(path[index]), index + 1);
+                }
+                if (node.wildcard) {
+                    walk(node.wildcard, index + 1);
+                }
+            };
+            walk(this.root, 0);
+            return Array.from(found);
+        }
+    }
+
     class Router {
         constructor(config) {
             if (!config.defaultRoute) {
@@ -48,9 +262,22 @@ define([], () => {
             }
             // Routing
             this.routes = [];
+            this.routeTrie = new RouteTrie();
+            this.conflicts = [];
+            this.namedRoutes = {};
             this.defaultRoute = config.defaultRoute;
             this.runtime = config.runtime;
             this.urls = config.urls;
+            this.mode = config.mode || 'hash';
+            // The location through which navigation leaves the ui.
+            this.location = config.location || window.location;
+            if (!ROUTING_MODES.includes(this.mode)) {
+                throw new Error(`Invalid routing mode "${this.mode}"; expected one of ${ROUTING_MODES.join(', ')}`);
+            }
+        }
+
+        isPathMode() {
+            return this.mode === 'path';
         }
 
         transformPathSpec(path) {
@@ -66,20 +293,20 @@ define([], () => {
             });
 
             // create path spec
-            const pathSpec = pathElements.map((pathElement) => {
+            // A param may be typed, e.g. ":id(int)"; see lib/routeParams.
+            // An object reference spans path segments, so a "ref" param must be
+            // the final one, and becomes a typed rest element, e.g.
+            // "dataview/:ref(ref)" matches "dataview/1/2/3" with ref "1/2/3".
+            const pathSpec = pathElements.map((pathElement, index) => {
                 if (pathElement.charAt(0) === ':') {
-                    if (pathElement.charAt(1) === '-') {
-                        return {
-                            type: 'param',
-                            name: pathElement.slice(2),
-                            optional: true
-                        };
+                    const paramSpec = parseParamSpec(pathElement.slice(1));
+                    if (paramSpec.valueType === 'ref') {
+                        if (index < pathElements.length - 1) {
+                            throw new Error(`The ref param "${paramSpec.name}" must be the last element of the path "${path}"`);
+                        }
+                        return Object.assign(paramSpec, {type: 'rest', joinWith: '/'});
                     }
-                    return {
-                        type: 'param',
-                        name: pathElement.slice(1),
-                        optional: false
-                    };
+                    return paramSpec;
                 }
                 return {
                     type: 'literal',
@@ -104,19 +331,7 @@ define([], () => {
                     throw new Error('Param name not provided in path spec');
                 }
                 if (paramName.charAt(0) === ':') {
-                    if (paramName.charAt(1) === '-') {
-                        querySpec[queryName] = {
-                            type: 'param',
-                            name: paramName.slice(2),
-                            optional: true
-                        };
-                    } else {
-                        querySpec[queryName] = {
-                            type: 'param',
-                            name: paramName.slice(1),
-                            optional: false
-                        };
-                    }
+                    querySpec[queryName] = parseParamSpec(paramName.slice(1));
                 } else {
                     querySpec[queryName] = {
                         type: 'literal',
@@ -157,9 +372,11 @@ define([], () => {
              * regular expression, which case it is matched on a path component,
              * object with type:param
              */
-            /* TODO: do something on overlapping routes */
-            /* TODO: better mapping method for routes. */
-            /* still, with a relatively short list of routes, this is far from a performance issue. */
+            /*
+             * Overlapping routes are resolved by specificity when matching (see
+             * compareSpecificity), and ambiguous routes are reported at install
+             * time (see detectConflicts).
+             */
 
             // fix up the path. This business is to make it easier to have
             // compact path specifications.
@@ -183,7 +400,7 @@ define([], () => {
                 const queryParams = Object.assign(routeSpec.queryParams || {}, pathQueryParams);
                 route.queryParams = queryParams;
 
-                this.routes.push(route);
+                this.installRoute(route, pluginName);
                 return;
             }
 
@@ -199,6 +416,10 @@ define([], () => {
                 // Otherwise, the path element is represented as a simple
                 // object, with property 'type' one of: _____
                 // TODO: complete this doc
+                // A param element may be typed with the valueType property,
+                // e.g. {name: 'id', valueType: 'int'}; see lib/routeParams.
+                // So may a rest element, whose value is validated once joined,
+                // e.g. {type: 'rest', name: 'ref', joinWith: '/', valueType: 'ref'}.
                 if (typeof pathElement === 'object') {
                     if (pathElement instanceof Array) {
                         return {
@@ -226,10 +447,79 @@ define([], () => {
             const route = Object.assign({}, routeSpec);
             route.path = path;
 
+            this.installRoute(route, pluginName);
+        }
+
+        installRoute(route, pluginName) {
+            route.pluginName = pluginName;
+            route.order = this.routes.length;
+            if (route.name) {
+                const existing = this.namedRoutes[route.name];
+                if (existing) {
+                    throw new Error(`Route name "${route.name}" from plugin "${pluginName}" ` +
+                        `is already used by plugin "${existing.pluginName}"`);
+                }
+                this.namedRoutes[route.name] = route;
+            }
+            this.detectConflicts(route);
             this.routes.push(route);
+            this.routeTrie.insert(route);
+        }
+
+        /*
+         * Routes which can match exactly the same paths are ambiguous, since
+         * neither is more specific; the first one installed wins. Such conflicts
+         * are reported, and recorded for inspection via listConflicts.
+         */
+        detectConflicts(route) {
+            const shapes = routeShapes(route);
+            this.routes.forEach((existingRoute) => {
+                const existingShapes = routeShapes(existingRoute);
+                const shared = shapes.filter((shape) => {
+                    return existingShapes.includes(shape);
+                });
+                if (shared.length === 0) {
+                    return;
+                }
+                const conflict = {
+                    path: '/' + shared[0],
+                    winner: {
+                        pluginName: existingRoute.pluginName,
+                        path: existingRoute.path
+                    },
+                    loser: {
+                        pluginName: route.pluginName,
+                        path: route.path
+                    }
+                };
+                console.warn(`Route conflict on "${conflict.path}": route from plugin "${route.pluginName}" ` +
+                    `is shadowed by the route from plugin "${existingRoute.pluginName}"`, conflict);
+                this.conflicts.push(conflict);
+            });
+        }
+
+        listConflicts() {
+            return this.conflicts;
         }
 
         getCurrentRequest() {
+            if (this.isPathMode()) {
+                return this.getCurrentPathRequest();
+            }
+            return this.getCurrentHashRequest();
+        }
+
+        getCurrentPathRequest() {
+            const path = splitPath(window.location.pathname);
+            return {
+                original: window.location.pathname + window.location.search,
+                realPath: path,
+                path,
+                query: getQuery()
+            };
+        }
+
+        getCurrentHashRequest() {
             let path = [];
             let query2 = {};
 
@@ -249,14 +539,7 @@ define([], () => {
                         query[key] = query2[key];
                     });
                 }
-                path = pathQuery[0]
-                    .split('/')
-                    .filter((pathComponent) => {
-                        return pathComponent.length > 0;
-                    })
-                    .map((pathComponent) => {
-                        return decodeURIComponent(pathComponent);
-                    });
+                path = splitPath(pathQuery[0]);
             }
 
             const realPath = window.location.pathname.substr(1).split('/');
@@ -269,7 +552,172 @@ define([], () => {
             };
         }
 
-        matchPath(path, route) {
+        /*
+         * In path mode, a legacy hash url like /#narrativemanager/start?a=b is
+         * rewritten in place to /narrativemanager/start?a=b.
+         * Only urls at the root path are rewritten, since a fragment on any
+         * other path is a plain document anchor.
+         * Returns true if the url was rewritten.
+         */
+        rewriteLegacyHash() {
+            if (!this.isPathMode()) {
+                return false;
+            }
+            if (splitPath(window.location.pathname).length > 0) {
+                return false;
+            }
+            if (!window.location.hash || window.location.hash.length <= 1) {
+                return false;
+            }
+            const [hashPath, hashQuery] = window.location.hash.substr(1).split('?', 2);
+            const query = Object.assign(getQuery(), hashQuery ? parseQueryString(hashQuery) : {});
+
+            const url = new URL(window.location.toString());
+            url.pathname = '/' + splitPath(hashPath).map((pathComponent) => {
+                return encodeURIComponent(pathComponent);
+            }).join('/');
+            url.search = Object.keys(query).length > 0 ? '?' + paramsToQuery(query) : '';
+            url.hash = '';
+            window.history.replaceState(null, '', url.toString());
+            return true;
+        }
+
+        /*
+         * In path mode, determines whether a same-origin url addresses the ui,
+         * and may therefore be navigated to without a page load.
+         */
+        isRoutable(url) {
+            if (!this.isPathMode() || url.origin !== window.location.origin) {
+                return false;
+            }
+            const path = splitPath(url.pathname);
+            if (path.length === 0) {
+                return true;
+            }
+            return this.processPath(path) !== null;
+        }
+
+        // REVERSE ROUTING
+
+        getNamedRoute(name) {
+            const route = this.namedRoutes[name];
+            if (!route) {
+                throw new Error(`No route named "${name}"`);
+            }
+            return route;
+        }
+
+        /*
+         * Builds the path and query for the route with the given name, from the
+         * same path and query specs used to match it.
+         * Path elements of type param, regexp, options and rest take their values
+         * from the params, keyed by the element name. A missing required param
+         * is an error; a missing optional param ends the path. Typed params
+         * must conform to their type.
+         * Query params defined by the route also take their values from the
+         * params, and the query argument supplies any additional ones.
+         * Returns {path, query}, with the path an array of (unencoded) components.
+         */
+        buildLocation(name, params = {}, query = {}) {
+            const route = this.getNamedRoute(name);
+            const path = [];
+            for (let i = 0; i < route.path.length; i += 1) {
+                const element = route.path[i];
+                if (element.type === 'literal') {
+                    path.push(element.value);
+                    continue;
+                }
+                const paramName = element.type === 'rest' ? element.name || 'rest' : element.name;
+                const value = params[paramName];
+                if (typeof value === 'undefined' || value === null) {
+                    // An untyped rest element may be empty.
+                    if (element.optional || (element.type === 'rest' && !element.valueType)) {
+                        break;
+                    }
+                    throw new Error(`Missing required param "${paramName}" for route "${name}"`);
+                }
+                switch (element.type) {
+                case 'rest':
+                    coerceParam(value, Object.assign({}, element, {name: paramName}));
+                    if (value instanceof Array) {
+                        path.push(...value.map(String));
+                    } else {
+                        path.push(...String(value).split(element.joinWith || '/'));
+                    }
+                    break;
+                case 'options':
+                    if (!element.value.includes(String(value))) {
+                        throw new Error(`Param "${paramName}" for route "${name}" must be one of ${element.value.join(', ')}`);
+                    }
+                    path.push(String(value));
+                    break;
+                case 'regexp':
+                    if (!new RegExp(element.regexp).test(String(value))) {
+                        throw new Error(`Param "${paramName}" for route "${name}" does not match ${element.regexp}`);
+                    }
+                    path.push(String(value));
+                    break;
+                default:
+                    coerceParam(value, element);
+                    path.push(String(value));
+                }
+            }
+
+            const finalQuery = {};
+            Object.entries(route.queryParams || {}).forEach(([key, spec]) => {
+                if (spec && spec.type === 'literal') {
+                    finalQuery[key] = spec.value;
+                } else if (spec && typeof spec.literal !== 'undefined') {
+                    finalQuery[key] = spec.literal;
+                } else {
+                    const paramName = (spec && spec.name) || key;
+                    const value = params[paramName];
+                    if (typeof value !== 'undefined' && value !== null) {
+                        if (spec && spec.type === 'param') {
+                            coerceParam(value, spec);
+                        }
+                        finalQuery[key] = value;
+                    } else if (spec && spec.type === 'param' && !spec.optional) {
+                        throw new Error(`Missing required query param "${paramName}" for route "${name}"`);
+                    }
+                }
+            });
+            Object.assign(finalQuery, query);
+
+            return {path, query: finalQuery};
+        }
+
+        // The ui path, with query, for a named route, without the routing mode
+        // prefix; suitable for navigation and menu items.
+        pathFor(name, params, query) {
+            const location = this.buildLocation(name, params, query);
+            const path = location.path.map((component) => {
+                return encodeURIComponent(component);
+            }).join('/');
+            if (Object.keys(location.query).length === 0) {
+                return path;
+            }
+            return path + '?' + paramsToQuery(location.query);
+        }
+
+        url(name, params, query) {
+            return this.makeHref(this.pathFor(name, params, query));
+        }
+
+        makeHref(path) {
+            if (path instanceof Array) {
+                path = path.join('/');
+            }
+            if (this.isPathMode()) {
+                return '/' + path;
+            }
+            return '/#' + path;
+        }
+
+        // Typed params which do not conform fail the match, and are recorded in
+        // validationErrors so that a path which otherwise would have matched
+        // may be reported as such.
+        matchPath(path, route, validationErrors = []) {
             // Match the path.
             // Walk through the path, for each path element:
             // - if no more route path elements, and "captureExtraPath" is set,
@@ -312,7 +760,16 @@ define([], () => {
                     // current path element is not compared, it is considered
                     // a positive match, and is stored in the params  map
                     // under the name of the route elements 'name' property.
-                    params[routePathElement.name] = requestPathElement;
+                    // A typed param is validated and coerced.
+                    try {
+                        params[routePathElement.name] = coerceParam(requestPathElement, routePathElement);
+                    } catch (ex) {
+                        if (ex instanceof ParamValidationError) {
+                            validationErrors.push(ex);
+                            return;
+                        }
+                        throw ex;
+                    }
                     break;
                 case 'regexp':
                     // current path element is matched against a regular expression
@@ -344,6 +801,15 @@ define([], () => {
                     } else {
                         params[name] = path.slice(j);
                     }
+                    try {
+                        params[name] = coerceParam(params[name], Object.assign({}, routePathElement, {name}));
+                    } catch (ex) {
+                        if (ex instanceof ParamValidationError) {
+                            validationErrors.push(ex);
+                            return;
+                        }
+                        throw ex;
+                    }
 
                     break matchloop;
                 default:
@@ -356,12 +822,14 @@ define([], () => {
             return params;
         }
 
-        processPath(path) {
-            let route;
-            for (let i = 0; i < this.routes.length; i += 1) {
-                route = this.routes[i];
-
-                const isRest = route.path[route.path.length - 1].type === 'rest';
+        processPath(path, validationErrors) {
+            // Candidate routes are tried from most to least specific.
+            const candidates = this.routeTrie.candidates(path).sort((a, b) => {
+                return compareSpecificity(a, b, path.length);
+            });
+            for (const route of candidates) {
+                const lastElement = route.path[route.path.length - 1];
+                const isRest = lastElement.type === 'rest';
                 if (route.path.length > path.length) {
                     // We can only match on a path shorter than the route path if:
                     // - all params after the route path after the end of the current path are optional
@@ -370,7 +838,9 @@ define([], () => {
                     const isAllOptional = route.path.slice(path.length).every((routePathElement) => {
                         return routePathElement.optional;
                     });
-                    if (!(isAllOptional || route.captureExtraPath || isRest)) {
+                    // A typed rest element must capture a value, unless optional.
+                    const isEmptyRest = isRest && !(lastElement.valueType && !lastElement.optional);
+                    if (!(isAllOptional || route.captureExtraPath || isEmptyRest)) {
                         continue;
                     }
                 } else if (route.path.length < path.length) {
@@ -382,7 +852,7 @@ define([], () => {
                     }
                 }
 
-                const params = this.matchPath(path, route);
+                const params = this.matchPath(path, route, validationErrors);
 
                 if (params) {
                     return {route, params};
@@ -399,6 +869,7 @@ define([], () => {
             // placed into the params.
 
             const params = {};
+            const validationErrors = [];
 
             // The total params is the path params and query params
             const searchParamKeys = Object.keys(query);
@@ -413,8 +884,6 @@ define([], () => {
                 const paramSpec = queryParamsSpec[key];
                 // This allows for supplying a param
                 // from the config.
-                // TODO: improve this, and add support for query param specs
-                //       e.g. type coercion.
                 if (paramSpec === true) {
                     // Simply setting the query param spec to "true" will cause
                     // it to be used, even if it is not provided.
@@ -425,8 +894,17 @@ define([], () => {
                     // is placed into the params.
                     params[key] = paramSpec.literal;
                 } else if (typeof query[key] !== 'undefined') {
-                    // Defaults to simply using the query value if it is found.
-                    params[key] = query[key];
+                    // Defaults to simply using the query value if it is found,
+                    // validated and coerced if the param is typed.
+                    try {
+                        params[key] = coerceParam(query[key], Object.assign({}, paramSpec, {name: key}));
+                    } catch (ex) {
+                        if (ex instanceof ParamValidationError) {
+                            validationErrors.push(ex);
+                            return;
+                        }
+                        throw ex;
+                    }
                 } else {
                     return;
                 }
@@ -438,11 +916,22 @@ define([], () => {
                 });
             }
 
+            if (validationErrors.length > 0) {
+                throw new NotFoundException({
+                    request: route.request,
+                    params,
+                    original: route.request && route.request.original,
+                    path: route.request && route.request.path,
+                    message: 'Invalid query params',
+                    validationErrors
+                });
+            }
+
             return params;
         }
 
         redirect(url) {
-            window.location.assign(url);
+            this.location.assign(url);
         }
 
         findRoute(request) {
@@ -455,7 +944,9 @@ define([], () => {
             //     };
             // }
 
-            if (request.realPath.length > 0 && request.realPath[0] !== '') {
+            // In path mode the real path is the ui path, so there is no errant
+            // physical path to detect.
+            if (!this.isPathMode() && request.realPath.length > 0 && request.realPath[0] !== '') {
                 // If we have a path other than /, we are probably on an errant doc site request.
                 throw new NotFoundException({
                     request,
@@ -484,7 +975,8 @@ define([], () => {
                 }
             }
 
-            const foundRoute = this.processPath(request.path);
+            const validationErrors = [];
+            const foundRoute = this.processPath(request.path, validationErrors);
 
             if (!foundRoute) {
                 throw new NotFoundException({
@@ -492,10 +984,12 @@ define([], () => {
                     params: {},
                     route: null,
                     original: request.original,
-                    path: request.path
+                    path: request.path,
+                    validationErrors
                 });
             }
 
+            foundRoute.request = request;
             const queryParams = this.processQuery(foundRoute, request.query);
             if (queryParams) {
                 Object.assign(foundRoute.params, queryParams);
@@ -509,8 +1003,6 @@ define([], () => {
                 Object.assign(foundRoute.params, foundRoute.route.params);
             }
 
-            foundRoute.request = request;
-
             return foundRoute;
         }
 
@@ -549,12 +1041,15 @@ define([], () => {
                     return true;
                 })
                 .join('/');
+            // External targets, such as the Narrative, expect the legacy
+            // query form.
+            const encodeQuery = location.external ? queryCodec.encodeLegacyQuery : paramsToQuery;
             if (location.params) {
-                queryString = paramsToQuery(location.params);
+                queryString = encodeQuery(location.params);
             }
             // Oops, may be provided as "query" property
             if (location.query) {
-                queryString = paramsToQuery(location.query);
+                queryString = encodeQuery(location.query);
             }
             if (queryString) {
                 finalPath = normalizedPath + '?' + queryString;
@@ -562,13 +1057,24 @@ define([], () => {
                 finalPath = normalizedPath;
             }
             if (location.external) {
+                // External targets are outside of the ui, so even in path mode
+                // they are a page load rather than a history entry.
                 finalPath = '/' + finalPath;
                 if (location.replace) {
-                    this.replacePath(finalPath);
+                    this.location.replace(finalPath);
                 } else {
                     // We need to blow away the whole thing, since there will
                     // be a hash there.
-                    window.location.href = finalPath;
+                    this.location.href = finalPath;
+                }
+            } else if (this.isPathMode() && !location.urlPath) {
+                // In path mode, navigation within the ui is a history entry
+                // followed by routing, since pushState does not emit popstate.
+                if (location.replace) {
+                    this.replacePath('/' + finalPath);
+                } else {
+                    window.history.pushState(null, '', '/' + finalPath);
+                    this.runtime.send('app', 'do-route');
                 }
             } else {
                 if (location.replace) {
@@ -598,6 +1104,20 @@ define([], () => {
                 location = {path: location};
             }
 
+            // A named route location is {name, params, query}, which is converted
+            // to the equivalent path location.
+            if (location.name) {
+                const {path, query} = this.buildLocation(location.name, location.params, location.query);
+                location = Object.assign({}, location, {
+                    path: path.map((component) => {
+                        return encodeURIComponent(component);
+                    }),
+                    query
+                });
+                delete location.name;
+                delete location.params;
+            }
+
             if (location.path !== undefined) {
                 this.navigateToPath(location);
             } else if (typeof location.redirect === 'string') {
@@ -608,6 +1128,11 @@ define([], () => {
         }
 
         replacePath(location) {
+            if (this.isPathMode() && location.charAt(0) === '/') {
+                window.history.replaceState(null, '', location);
+                this.runtime.send('app', 'do-route');
+                return;
+            }
             window.location.replace(location);
         }
 
@@ -615,13 +1140,14 @@ define([], () => {
             if (newWindow) {
                 window.open(location);
             } else {
-                window.location.replace(location);
+                this.location.replace(location);
             }
         }
     }
 
     return {
         NotFoundException,
-        Router
+        Router,
+        describePath
     };
 });
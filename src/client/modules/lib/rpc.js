@@ -20,6 +20,36 @@ define([
         }
     }
 
+    // Records the latency of a service call; see the instrumentation service.
+    // Instrumentation must never affect the call itself, so any error in
+    // recording is only logged.
+    function recordLatency(runtime, module, method, started, ok) {
+        try {
+            runtime.service('instrumentation').send({
+                type: 'rpc-latency',
+                module,
+                method,
+                duration: Date.now() - started,
+                ok
+            });
+        } catch (ex) {
+            console.warn('Error recording rpc latency', ex);
+        }
+    }
+
+    // Records the latency of the given call, passing its result or error
+    // through unchanged.
+    function withLatency(runtime, module, method, call) {
+        const started = Date.now();
+        return call.then((result) => {
+            recordLatency(runtime, module, method, started, true);
+            return result;
+        }, (err) => {
+            recordLatency(runtime, module, method, started, false);
+            throw err;
+        });
+    }
+
     class RPC {
         constructor(config) {
             this.runtime = config.runtime;
@@ -44,7 +74,7 @@ define([
                 });
             }
             const funcParams = params || [];
-            return client.callFunc(functionName, funcParams)
+            return withLatency(this.runtime, moduleName, functionName, client.callFunc(functionName, funcParams))
                 .catch((err) => {
                     if (err instanceof exceptions.AjaxError) {
                         // console.error('AJAX Error', err);
@@ -106,7 +136,7 @@ define([
 
         callFunc(functionName, params) {
             const funcParams = params || [];
-            return this.client.callFunc(functionName, funcParams)
+            return withLatency(this.runtime, this.moduleName, functionName, this.client.callFunc(functionName, funcParams))
                 .catch((err) => {
                     if (err instanceof exceptions.AjaxError) {
                         console.error('AJAX Error', err);
@@ -0,0 +1,158 @@
+define([
+    'uuid'
+], (
+    Uuid
+) => {
+
+    // How often the leader announces itself.
+    const HEARTBEAT_INTERVAL = 1000;
+
+    // After which, without a heartbeat, the leader is presumed gone.
+    const LEADER_TIMEOUT = 3000;
+
+    /*
+     * Elects one of the browser tabs sharing a BroadcastChannel as the leader,
+     * so that work which need only be done once for all tabs, such as polling
+     * a service, is done by the leader alone. The channel also carries
+     * messages from any tab to all the others.
+     *
+     * The leader sends a heartbeat; when a tab has not heard one for a while
+     * it claims the leadership. Should two tabs claim it at once, the one
+     * with the lower id wins and the other steps down. A leader which is
+     * stopped, or whose page is hidden, resigns so that another tab takes
+     * over promptly. A hidden page may be shown again, from the back-forward
+     * cache, so the channel is kept open and the tab stands again when shown.
+     */
+    class TabLeader {
+        static isSupported() {
+            return typeof window.BroadcastChannel === 'function';
+        }
+
+        constructor({name, channel, onChange, onMessage}) {
+            this.channel = channel || new window.BroadcastChannel(name);
+            this.id = new Uuid(4).format();
+            this.onChange = onChange || (() => {});
+            this.onMessage = onMessage || (() => {});
+            this.isLeader = false;
+            this.leaderId = null;
+            this.lastHeartbeatAt = 0;
+            this.started = false;
+            this.timer = null;
+            this.onPageHide = () => {
+                this.suspend();
+            };
+            this.onPageShow = () => {
+                this.resume();
+            };
+        }
+
+        start() {
+            this.started = true;
+            this.channel.onmessage = (event) => {
+                this.receive(event.data);
+            };
+            window.addEventListener('pagehide', this.onPageHide);
+            window.addEventListener('pageshow', this.onPageShow);
+            this.resume();
+        }
+
+        stop() {
+            if (!this.started) {
+                return;
+            }
+            this.started = false;
+            window.removeEventListener('pagehide', this.onPageHide);
+            window.removeEventListener('pageshow', this.onPageShow);
+            this.suspend();
+            this.channel.close();
+        }
+
+        // Takes part in the election; see suspend.
+        resume() {
+            if (this.timer !== null) {
+                return;
+            }
+            // Give an existing leader a chance to answer before claiming.
+            this.lastHeartbeatAt = Date.now() - LEADER_TIMEOUT + 2 * HEARTBEAT_INTERVAL;
+            this.send('hello');
+            this.timer = window.setInterval(() => {
+                this.tick();
+            }, HEARTBEAT_INTERVAL);
+        }
+
+        // Stops taking part in the election, resigning any leadership, while
+        // still able to resume.
+        suspend() {
+            if (this.timer === null) {
+                return;
+            }
+            window.clearInterval(this.timer);
+            this.timer = null;
+            if (this.isLeader) {
+                this.send('resign');
+                this.setLeader(false);
+            }
+        }
+
+        // Sends a message to all other tabs.
+        post(payload) {
+            this.send('message', payload);
+        }
+
+        send(type, payload) {
+            this.channel.postMessage({type, id: this.id, payload});
+        }
+
+        tick() {
+            if (this.isLeader) {
+                this.send('heartbeat');
+            } else if (Date.now() - this.lastHeartbeatAt >= LEADER_TIMEOUT) {
+                this.setLeader(true);
+                this.send('heartbeat');
+            }
+        }
+
+        receive({type, id, payload}) {
+            switch (type) {
+            case 'hello':
+                if (this.isLeader) {
+                    this.send('heartbeat');
+                }
+                break;
+            case 'heartbeat':
+                if (this.isLeader) {
+                    if (id < this.id) {
+                        this.setLeader(false);
+                    } else {
+                        // Let the other claimant know, so it steps down.
+                        this.send('heartbeat');
+                        return;
+                    }
+                }
+                this.leaderId = id;
+                this.lastHeartbeatAt = Date.now();
+                break;
+            case 'resign':
+                if (id === this.leaderId) {
+                    this.leaderId = null;
+                    this.lastHeartbeatAt = 0;
+                }
+                break;
+            case 'message':
+                this.onMessage(payload, id);
+                break;
+            }
+        }
+
+        setLeader(isLeader) {
+            if (isLeader === this.isLeader) {
+                return;
+            }
+            this.isLeader = isLeader;
+            this.leaderId = isLeader ? this.id : null;
+            this.onChange(isLeader);
+        }
+    }
+
+    return TabLeader;
+});
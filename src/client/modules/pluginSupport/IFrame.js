@@ -53,7 +53,7 @@ define([
             if (this.ref.current === null) {
                 return;
             }
-            this.props.whenMounted(this.ref.current.contentWindow);
+            this.props.whenMounted(this.ref.current.contentWindow, this.url);
         }
 
         render() {
@@ -68,6 +68,10 @@ define([
 
             const paramString = window.encodeURIComponent(JSON.stringify(params));
 
+            // Once the plugin reports the height of its content, the iframe
+            // takes that height; until then it fills the available space.
+            const style = typeof this.props.height === 'number' ? {height: `${this.props.height}px`} : {};
+
             return html`
             <iframe id=${this.id}
                     name=${this.id}
@@ -77,6 +81,7 @@ define([
                     className="IFrame -iframe"
                     frameborder="0"
                     scrolling="no"
+                    style=${style}
                     ref=${this.ref}
                     src=${this.url}></iframe>
             `;
@@ -3,27 +3,43 @@ define([
     'htm',
     'uuid',
     './windowChannel',
-    'kb_lib/httpUtils',
+    './hostApi',
+    './messageSchemas',
+    'lib/queryCodec',
     './AutoPostForm',
     './IFrame',
+    'reactComponents/ErrorAlert',
 
     'css!./IFrameController.css'
 ], (
     preact,
     htm,
     Uuid,
-    WindowChannel,
-    httpUtils,
+    windowChannel,
+    hostApi,
+    messageSchemas,
+    queryCodec,
     AutoPostForm,
-    IFrame
+    IFrame,
+    ErrorAlert
 ) => {
 
-    const {h, Component, render } = preact;
+    const {h, Component, createRef, render} = preact;
     const html = htm.bind(h);
 
     const SHOW_LOADING_AFTER = 1000;
     const SHOW_SLOW_LOADING_AFTER = 5000;
     const SHOW_SUPER_SLOW_LOADING_AFTER = 30000;
+    // After which a plugin which has not started is considered to have failed.
+    const LOAD_TIMEOUT = 90000;
+
+    // The steps of the handshake with the plugin, as reported when loading
+    // fails.
+    const LOAD_STEPS = {
+        mounting: 'Creating the plugin iframe',
+        'awaiting-ready': 'Waiting for the plugin to load and send "ready"',
+        'awaiting-started': 'Waiting for the plugin to start and send "started"'
+    };
 
     class IFrameController extends Component {
         constructor(props) {
@@ -38,19 +54,68 @@ define([
 
             this.receivers = [];
 
-            this.channel = new WindowChannel({
-                host: document.location.origin
-            });
+            this.channel = this.createChannel();
+
+            // A plugin which declares host api capabilities is given access
+            // only through the host api; otherwise it is given the config and
+            // auth token as before.
+            const plugin = runtime.service('plugin').getPlugin(props.pluginName);
+            if (plugin && plugin.capabilities) {
+                this.hostApi = new hostApi.HostAPI({
+                    runtime,
+                    pluginName: props.pluginName,
+                    capabilities: plugin.capabilities
+                });
+            } else {
+                this.hostApi = null;
+            }
 
             this.state = {
                 loading: 'yes',
+                // The height of the plugin content, as last reported by the
+                // plugin.
+                contentHeight: null,
+                // Set if the plugin fails to load; see loadFailed.
+                failure: null,
+                // Incremented to recreate the iframe for a retry.
+                attempt: 0
             };
 
+            this.ref = createRef();
+
             this.loadingTimer = null;
+            this.loadTimeout = null;
+            // The handshake step, and when loading started. Note that the
+            // iframe is mounted, and so the handshake begun, before this
+            // component is.
+            this.loadStatus = {
+                step: 'mounting',
+                started: Date.now(),
+                handshake: runtime.routeTimings.start('handshake')
+            };
+            this.iframeURL = null;
+            // Set while a plugin kept alive is hidden; see componentDidMount.
+            this.hidden = false;
+        }
+
+        createChannel() {
+            // Only messages from the plugin's window, at the ui origin, and
+            // declared in the message schemas are accepted.
+            return new windowChannel.WindowChannel({
+                host: document.location.origin,
+                schemas: messageSchemas
+            });
         }
 
         componentDidMount() {
-            this.props.pipe.tap(({view, params}) => {
+            this.props.pipe.tap(({view, params, hidden}) => {
+                // A plugin kept alive is hidden, rather than unmounted, when
+                // navigated away from; see Body.
+                this.hidden = hidden ? true : false;
+                if (hidden) {
+                    this.clearPluginParams();
+                    return;
+                }
                 const path = params.path || [];
                 const message = {
                     view, to: view, path, params
@@ -64,6 +129,12 @@ define([
         }
 
         monitorLoad() {
+            this.loadTimeout = window.setTimeout(() => {
+                this.loadFailed({
+                    reason: 'timeout',
+                    message: `The plugin did not finish loading within ${LOAD_TIMEOUT / 1000} seconds`
+                });
+            }, LOAD_TIMEOUT);
             this.loadingTimer = window.setTimeout(() => {
                 this.setState({
                     loading: 'slow'
@@ -89,7 +160,94 @@ define([
             }, SHOW_SUPER_SLOW_LOADING_AFTER);
         }
 
-        setupAndStartChannel() {
+        stopLoadMonitoring() {
+            if (this.loadingTimer !== null) {
+                window.clearTimeout(this.loadingTimer);
+                this.loadingTimer = null;
+            }
+            if (this.loadTimeout !== null) {
+                window.clearTimeout(this.loadTimeout);
+                this.loadTimeout = null;
+            }
+        }
+
+        // Resolves to the http status of the iframe document, which is the
+        // usual culprit if the plugin never loads.
+        checkIFrameURL(url) {
+            return fetch(url, {method: 'HEAD', cache: 'no-store'})
+                .then((response) => {
+                    return {status: response.status, statusText: response.statusText};
+                })
+                .catch((err) => {
+                    return {status: null, statusText: err.message};
+                });
+        }
+
+        loadFailed({reason, message}) {
+            if (this.channel === null || this.state.failure !== null) {
+                return;
+            }
+            this.stopLoadMonitoring();
+            this.runtime.routeTimings.discard(this.loadStatus.handshake);
+            const lastReceived = this.channel.stats().lastReceived;
+            const failure = {
+                reason,
+                message,
+                step: this.loadStatus.step,
+                elapsed: Date.now() - this.loadStatus.started,
+                url: this.iframeURL,
+                lastMessage: lastReceived ? lastReceived.name : null,
+                http: null
+            };
+            this.setState({
+                loading: null,
+                failure
+            });
+            const checked = this.iframeURL ? this.checkIFrameURL(this.iframeURL) : Promise.resolve(null);
+            checked.then((http) => {
+                failure.http = http;
+                // The failure is already displayed, in place of the plugin.
+                this.runtime.service('error').report(message, {
+                    source: reason === 'start-error' ? 'plugin-start' : 'plugin-load',
+                    plugin: this.props.pluginName,
+                    detail: Object.assign({
+                        attempt: this.state.attempt
+                    }, failure),
+                    notify: false
+                });
+                // The plugin may have been retried, or unmounted, in the meantime.
+                if (this.channel !== null && this.state.failure === failure) {
+                    this.setState({
+                        failure: Object.assign({}, failure)
+                    });
+                }
+            });
+        }
+
+        // Starts loading the plugin again, in a new iframe with a new channel.
+        retry() {
+            this.receivers.forEach((receiver) => {
+                this.runtime.drop(receiver);
+            });
+            this.receivers = [];
+            this.channel.stop();
+            this.channel = this.createChannel();
+            this.runtime.routeTimings.discard(this.loadStatus.handshake);
+            this.loadStatus = {
+                step: 'mounting',
+                started: Date.now(),
+                handshake: this.runtime.routeTimings.start('handshake')
+            };
+            this.setState({
+                loading: 'yes',
+                contentHeight: null,
+                failure: null,
+                attempt: this.state.attempt + 1
+            });
+            this.monitorLoad();
+        }
+
+        setupLegacyChannel() {
             this.channel.on('get-auth-status', () => {
                 this.channel.send('auth-status', {
                     token: this.runtime.service('session').getAuthToken(),
@@ -102,6 +260,29 @@ define([
                     value: this.runtime.rawConfig()
                 });
             });
+        }
+
+        // Handles a message which affects the ui, which a hidden plugin may not
+        // do. Such messages are dropped rather than queued, as they would
+        // apply to whatever the user has since navigated to. This includes
+        // "resize", as the hidden plugin has no height; the resize reporter
+        // reports again once the plugin is shown.
+        onVisible(name, handler) {
+            this.channel.on(name, (payload) => {
+                if (this.hidden) {
+                    console.warn(`Ignored "${name}" from the hidden plugin "${this.props.pluginName}"`);
+                    return;
+                }
+                return handler(payload);
+            });
+        }
+
+        setupAndStartChannel() {
+            if (this.hostApi) {
+                this.hostApi.install(this.channel);
+            } else {
+                this.setupLegacyChannel();
+            }
 
             this.channel.on('add-button', ({ button }) => {
                 button.callback = () => {
@@ -110,44 +291,31 @@ define([
                 this.runtime.send('ui', 'addButton', button);
             });
 
-            this.channel.on('open-window', ({ url }) => {
+            this.onVisible('open-window', ({ url }) => {
                 window.location.href = url;
                 // window.open(url, name);
             });
 
-            this.channel.on('set-plugin-params', ({ pluginParams }) => {
-                if (Object.keys(pluginParams) === 0) {
-                    window.location.search = '';
-                    return;
-                }
-                const query = {};
-                if (pluginParams.query) {
-                    query.query = pluginParams.query;
-                }
-                if (pluginParams.dataPrivacy && pluginParams.dataPrivacy.length > 0) {
-                    query.dataPrivacy = pluginParams.dataPrivacy.join(',');
-                }
-                if (pluginParams.workspaceTypes && pluginParams.workspaceTypes.length > 0) {
-                    query.workspaceTypes = pluginParams.workspaceTypes.join(',');
-                }
-                if (pluginParams.dataTypes) {
-                    query.dataTypes = pluginParams.dataTypes.join(',');
-                }
-
-                // prepare the params.
-                const queryString = httpUtils.encodeQuery(query);
-
-                const currentLocation = window.location.toString();
-                const currentURL = new URL(currentLocation);
-                currentURL.search = queryString;
+            // Plugin params are stored in the url query, in the legacy query
+            // form which existing plugins expect back as route params when
+            // reloaded, e.g. arrays as comma-separated values.
+            this.onVisible('set-plugin-params', ({ pluginParams }) => {
+                const currentURL = new URL(window.location.toString());
+                currentURL.search = queryCodec.encodeLegacyQuery(pluginParams || {});
                 history.replaceState(null, '', currentURL.toString());
             });
 
-            this.channel.on('send-instrumentation', (instrumentation) => {
-                this.runtime.service('instrumentation').send(instrumentation);
+            this.channel.on('send-instrumentation', (data) => {
+                this.runtime.service('instrumentation').send({
+                    type: 'plugin-event',
+                    plugin: this.props.pluginName,
+                    data
+                });
             });
 
-            this.channel.on('ui-navigate', (to) => {
+            // The location may be a path location ({path, params}) or a named
+            // route location ({name, params, query}).
+            this.onVisible('ui-navigate', (to) => {
                 this.runtime.send('app', 'navigate', to);
             });
 
@@ -163,11 +331,36 @@ define([
                 window.document.body.click();
             });
 
-            this.channel.on('set-title', (config) => {
+            this.onVisible('resize', ({height}) => {
+                this.setState({
+                    contentHeight: Math.ceil(height)
+                });
+            });
+
+            this.onVisible('scroll-to', ({top, behavior}) => {
+                this.scrollTo(top, behavior);
+            });
+
+            this.onVisible('set-title', (config) => {
                 this.runtime.send('ui', 'setTitle', config.title);
             });
 
-            this.channel.on('ui-auth-navigate', ({ nextRequest, tokenInfo }) => {
+            // A plugin using the host api may set the session only if it has
+            // the sign-in capability; a legacy plugin is trusted with the
+            // session, as it is given the token anyway.
+            this.channel.on('ui-auth-navigate', ({nextRequest, tokenInfo}) => {
+                if (this.hostApi) {
+                    let signingIn;
+                    try {
+                        signingIn = this.hostApi.signIn({tokenInfo});
+                    } catch (ex) {
+                        console.error(`Plugin "${this.props.pluginName}" may not sign in`, ex);
+                        return;
+                    }
+                    return signingIn.then(() => {
+                        this.runtime.send('app', 'navigate', nextRequest);
+                    });
+                }
                 const authSession = this.runtime.service('session').getClient();
                 authSession.setSessionCookie(tokenInfo.token, tokenInfo.expires);
                 return authSession.evaluateSession().then(() => {
@@ -193,13 +386,67 @@ define([
                 autodismiss: 5000
             }
             */
-            this.channel.on('notification', (notification) => {
+            this.onVisible('notification', (notification) => {
                 this.runtime.send('notification', 'notify', notification);
             });
 
             this.channel.start();
         }
 
+        makeStartMessage() {
+            const view = this.props.params.view;
+            const params = this.props.params.routeParams;
+            if (this.hostApi) {
+                return {
+                    hostApi: this.hostApi.describe(),
+                    view,
+                    params
+                };
+            }
+            return {
+                authorization: {
+                    token: this.runtime.service('session').getAuthToken(),
+                    username: this.runtime.service('session').getUsername(),
+                    realname: this.runtime.service('session').getRealname(),
+                    email: this.runtime.service('session').getEmail(),
+                    roles: this.runtime.service('session').getRoles().map(({id}) => {
+                        return id;
+                    })
+                },
+                config: this.runtime.rawConfig(),
+                view,
+                params
+            };
+        }
+
+        // The element which scrolls the plugin; this is the nearest scrollable
+        // ancestor within the ui body.
+        scrollContainer() {
+            let node = this.ref.current && this.ref.current.parentElement;
+            while (node && !node.classList.contains('Body')) {
+                const overflowY = window.getComputedStyle(node).overflowY;
+                if (overflowY === 'auto' || overflowY === 'scroll') {
+                    return node;
+                }
+                node = node.parentElement;
+            }
+            return node;
+        }
+
+        // Scrolls to the given offset within the plugin content.
+        scrollTo(top, behavior = 'auto') {
+            const container = this.scrollContainer();
+            if (!container) {
+                return;
+            }
+            const offset = this.ref.current.getBoundingClientRect().top -
+                container.getBoundingClientRect().top + container.scrollTop;
+            container.scrollTo({
+                top: offset + top,
+                behavior
+            });
+        }
+
         formPost({ action, params }) {
             const donorNode = document.createElement('div');
             document.body.appendChild(donorNode);
@@ -209,8 +456,25 @@ define([
             render(html`<${AutoPostForm} ...${props} />`, donorNode);
         }
 
+        // Sends an event to the plugin, as far as a host api plugin is allowed
+        // to see it.
+        sendEvent(eventName, payload) {
+            if (this.hostApi) {
+                payload = this.hostApi.scopeEvent(eventName, payload);
+                if (payload === null) {
+                    return;
+                }
+            }
+            this.channel.send(eventName, payload);
+        }
+
         setupChannelSends() {
             this.receivers.push(this.runtime.receive('session', 'loggedin', () => {
+                // A host api plugin asks for the session with "get-session".
+                if (this.hostApi) {
+                    this.channel.send('loggedin', {});
+                    return;
+                }
                 this.channel.send('loggedin', {
                     token: this.runtime.service('session').getAuthToken(),
                     username: this.runtime.service('session').getUsername(),
@@ -221,45 +485,41 @@ define([
             this.receivers.push(this.runtime.receive('session', 'loggedout', () => {
                 this.channel.send('loggedout', {});
             }));
+
+            // All session state transitions, e.g. "cacheexpired", "restored",
+            // "interrupted", as well as changes to the token or roles.
+            this.receivers.push(this.runtime.receive('session', 'change', ({state}) => {
+                this.sendEvent('session-changed', {
+                    state,
+                    loggedIn: this.runtime.service('session').isLoggedIn()
+                });
+            }));
+            this.receivers.push(this.runtime.receive('session', 'token-changed', ({loggedIn}) => {
+                this.sendEvent('token-changed', {
+                    loggedIn,
+                    token: this.runtime.service('session').getAuthToken() || null
+                });
+            }));
+            this.receivers.push(this.runtime.receive('session', 'roles-changed', ({roles}) => {
+                this.sendEvent('roles-changed', {roles});
+            }));
+
+            this.receivers.push(this.runtime.receive('config', 'changed', ({path, value}) => {
+                this.sendEvent('config-changed', {path, value});
+            }));
         }
 
         setupCommunication(iframeWindow) {
-            const ready = () => {
-                return;
-            };
-
-            return new Promise((resolve, reject) => {
+            return new Promise((resolve) => {
                 this.temp_window = iframeWindow;
                 this.channel.setWindow(iframeWindow);
                 this.setupAndStartChannel();
+                this.loadStatus.step = 'awaiting-ready';
                 this.channel.once('ready',
                     ({ channelId }) => {
-                        ready();
+                        this.loadStatus.step = 'awaiting-started';
                         this.channel.partnerId = channelId;
-                        // TODO: narrow and improve the config support for plugins
-                        // E.g.
-                        // const config = this.runtime.rawConfig();
-                        // const pluginConfig = {
-                        //     baseURL: config.deploy.services.urlBase,
-                        //     services: config.services
-                        // };
-
-                        const startMessage = {
-                            authorization: {
-                                token: this.runtime.service('session').getAuthToken(),
-                                username: this.runtime.service('session').getUsername(),
-                                realname: this.runtime.service('session').getRealname(),
-                                email: this.runtime.service('session').getEmail(),
-                                roles: this.runtime.service('session').getRoles().map(({ id }) => {
-                                    return id;
-                                })
-                            },
-                            config: this.runtime.rawConfig(),
-                            view: this.props.params.view,
-                            params: this.props.params.routeParams
-                        };
-
-                        this.channel.send('start', startMessage);
+                        this.channel.send('start', this.makeStartMessage());
                         // Any sends to the channel should only be enabled after the
                         // start message is received.
                         this.setupChannelSends();
@@ -267,10 +527,15 @@ define([
 
                 // Sent by the plugin to indicate that the plugin has finished loading.
                 this.channel.once('started', () => {
-                    if (this.loadingTimer !== null) {
-                        window.clearTimeout(this.loadingTimer);
-                        this.loadingTimer = null;
-                    }
+                    this.stopLoadMonitoring();
+                    this.loadStatus.step = 'started';
+                    this.runtime.routeTimings.end(this.loadStatus.handshake);
+                    this.runtime.service('instrumentation').send({
+                        type: 'plugin-load',
+                        plugin: this.props.pluginName,
+                        phase: 'iframe',
+                        duration: Date.now() - this.loadStatus.started
+                    });
                     this.setState({
                         loading: null
                     });
@@ -279,32 +544,46 @@ define([
 
                 // Sent by a plugin if it encounters an error and doesn't want to display it
                 // itself, or it occurs before it is able to render anything.
-                this.channel.once('start-error', (config) => {
-                    reject(new Error(config.message));
+                this.channel.once('start-error', ({message}) => {
+                    this.loadFailed({
+                        reason: 'start-error',
+                        message
+                    });
                 });
-            },
-            (error) => {
-                console.error('ERROR!', error.message);
             });
         }
 
+        clearPluginParams() {
+            // In path mode the search belongs to the route being navigated to,
+            // so it must be left alone.
+            if (!this.runtime.service('route').isPathMode()) {
+                const currentLocation = window.location.toString();
+                const currentURL = new URL(currentLocation);
+                currentURL.search = '';
+                history.replaceState(null, '', currentURL.toString());
+            }
+        }
+
         componentWillUnmount() {
-            const currentLocation = window.location.toString();
-            const currentURL = new URL(currentLocation);
-            currentURL.search = '';
-            history.replaceState(null, '', currentURL.toString());
+            this.clearPluginParams();
+            this.stopLoadMonitoring();
+            // The plugin may be unmounted before it has started.
+            this.runtime.routeTimings.discard(this.loadStatus.handshake);
 
             this.receivers.forEach((receiver) => {
                 this.runtime.drop(receiver);
             });
 
+            // Stopping the channel also rejects any requests to the plugin
+            // still awaiting a reply.
             if (this.channel) {
                 this.channel.stop();
                 this.channel = null;
             }
         }
 
-        iframeMounted(w) {
+        iframeMounted(w, url) {
+            this.iframeURL = url;
             this.setupCommunication(w)
                 .then(() => {
                     // TODO: remove because this duplicates start behaviour
@@ -325,17 +604,59 @@ define([
                 origin: document.location.origin,
                 pathRoot: this.props.pluginPath,
                 channelId: this.channel.channelId,
-                whenMounted: (w) => {
-                    // this.channel.setWindow(this.iframe.window);
-                    this.iframeMounted(w);
+                whenMounted: (w, url) => {
+                    this.iframeMounted(w, url);
                 },
                 hostId: this.id,
+                height: this.state.contentHeight,
                 params: this.props.params,
                 runtime: this.props.runtime
             };
 
+            // The key ensures a new iframe for each attempt.
             return html`
-                <${IFrame} ...${props} />
+                <${IFrame} key=${this.state.attempt} ...${props} />
+            `;
+        }
+
+        renderFailure() {
+            const {message, step, elapsed, url, http, lastMessage} = this.state.failure;
+            const httpStatus = (() => {
+                if (http === null) {
+                    return 'checking...';
+                }
+                if (http.status === null) {
+                    return `request failed: ${http.statusText}`;
+                }
+                return `${http.status} ${http.statusText}`;
+            })();
+            const renderContent = () => {
+                return html`
+                    <div data-k-b-testhook-element="plugin-load-failure">
+                        <h4>Error Loading Plugin</h4>
+                        <p>${message}</p>
+                        <table className="table table-condensed">
+                            <tbody>
+                                <tr><th>Plugin</th><td>${this.props.pluginName}</td></tr>
+                                <tr><th>Stalled at</th><td>${LOAD_STEPS[step] || step}</td></tr>
+                                <tr><th>Elapsed</th><td>${Math.round(elapsed / 1000)} seconds</td></tr>
+                                <tr><th>Plugin url</th><td>${url || 'n/a'}</td></tr>
+                                <tr><th>Plugin url status</th><td>${httpStatus}</td></tr>
+                                <tr><th>Last message</th><td>${lastMessage || 'none'}</td></tr>
+                            </tbody>
+                        </table>
+                        <button className="btn btn-primary"
+                                data-k-b-testhook-button="retry"
+                                onClick=${() => {this.retry();}}>
+                            Retry
+                        </button>
+                    </div>
+                `;
+            };
+            return html`
+                <div style=${{marginTop: '20px'}}>
+                    <${ErrorAlert} render=${renderContent} />
+                </div>
             `;
         }
 
@@ -376,10 +697,12 @@ define([
         }
 
         render() {
+            const sized = this.state.contentHeight === null ? '' : ' -sized';
             return html`
-            <div className="IFrameController">
-                ${this.renderLoading()}
-                ${this.renderIFrame()}
+            <div className=${`IFrameController${sized}`}
+                 ref=${this.ref}>
+                ${this.state.failure ? this.renderFailure() : this.renderLoading()}
+                ${this.state.failure ? '' : this.renderIFrame()}
             </div>
             `;
         }
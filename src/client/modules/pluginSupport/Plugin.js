@@ -41,6 +41,7 @@ define([
 
             const props = {
                 runtime: this.props.runtime,
+                pluginName: this.props.params.plugin,
                 pluginPath: pluginPath,
                 pipe: this.props.pipe,
                 params: {
@@ -0,0 +1,244 @@
+define([], () => {
+
+    // Incremented for incompatible changes to the requests below; a plugin
+    // may check it with "get-host-api".
+    const HOST_API_VERSION = 1;
+
+    /*
+     * The host API is the set of requests an iframe plugin may make of the ui
+     * over its window channel. Each request requires a capability, which the
+     * plugin must declare in its config.yml:
+     *
+     *   host:
+     *     capabilities:
+     *       - session
+     *       - name: config
+     *         paths: [services, deploy.environment]
+     *       - name: services
+     *         modules: [Workspace]
+     *
+     * A capability may be given by name alone, which grants it in full, or as
+     * an object which narrows it:
+     *   config - paths: the config paths (and their children) which may be read
+     *   session - token: true to include the auth token
+     *   services - modules: the service modules which may be called
+     *   feature-switches - ids: the feature switches which may be read
+     *
+     * The sign-in capability allows a plugin to replace the session with a
+     * token it has obtained, as the login plugin does with "ui-auth-navigate";
+     * it should be granted only to plugins which sign in.
+     *
+     * The capabilities also scope the events pushed to the plugin: the session
+     * capability for "session-changed", "token-changed" (with the token only
+     * if granted) and "roles-changed", and the config capability for
+     * "config-changed" within the granted paths.
+     */
+    const REQUEST_CAPABILITIES = {
+        'get-config': 'config',
+        'get-session': 'session',
+        'call-service': 'services',
+        'get-feature-switch': 'feature-switches',
+        'ui-auth-navigate': 'sign-in'
+    };
+
+    // The events sent to plugins, and the capability required to receive
+    // them; see scopeEvent.
+    const EVENT_CAPABILITIES = {
+        'session-changed': 'session',
+        'token-changed': 'session',
+        'roles-changed': 'session',
+        'config-changed': 'config'
+    };
+
+    class HostAPIError extends Error {
+        constructor(message, code, data) {
+            super(message);
+            this.name = 'HostAPIError';
+            this.code = code;
+            this.data = data;
+        }
+    }
+
+    // Normalizes the declared capabilities to a map of capability name to
+    // its scope.
+    function parseCapabilities(declared) {
+        return (declared || []).reduce((capabilities, capability) => {
+            if (typeof capability === 'string') {
+                capabilities[capability] = {};
+            } else {
+                const {name, ...scope} = capability;
+                capabilities[name] = scope;
+            }
+            return capabilities;
+        }, {});
+    }
+
+    function isWithinPaths(path, paths) {
+        return paths.some((allowedPath) => {
+            return path === allowedPath || path.startsWith(allowedPath + '.');
+        });
+    }
+
+    class HostAPI {
+        constructor({runtime, pluginName, capabilities}) {
+            this.runtime = runtime;
+            this.pluginName = pluginName;
+            this.capabilities = parseCapabilities(capabilities);
+        }
+
+        // Returns the scope of the capability required by the request, or
+        // throws if the plugin was not granted it.
+        requireCapability(requestName) {
+            const capability = REQUEST_CAPABILITIES[requestName];
+            const scope = this.capabilities[capability];
+            if (!scope) {
+                throw new HostAPIError(
+                    `The plugin "${this.pluginName}" does not have the "${capability}" capability ` +
+                    `required for "${requestName}"`,
+                    'capability-denied',
+                    {capability}
+                );
+            }
+            return scope;
+        }
+
+        getConfig({path}) {
+            const scope = this.requireCapability('get-config');
+            if (typeof path !== 'string' || path.length === 0) {
+                throw new HostAPIError('A config path is required', 'invalid-params');
+            }
+            if (scope.paths && !isWithinPaths(path, scope.paths)) {
+                throw new HostAPIError(`The config path "${path}" is not available to this plugin`,
+                    'capability-denied', {capability: 'config', path});
+            }
+            return {value: this.runtime.config(path, null)};
+        }
+
+        getSession() {
+            const scope = this.requireCapability('get-session');
+            const session = this.runtime.service('session');
+            if (!session.isLoggedIn()) {
+                return {loggedIn: false};
+            }
+            const result = {
+                loggedIn: true,
+                username: session.getUsername(),
+                realname: session.getRealname(),
+                email: session.getEmail(),
+                roles: session.getRoles().map(({id}) => {
+                    return id;
+                })
+            };
+            if (scope.token) {
+                result.token = session.getAuthToken();
+            }
+            return result;
+        }
+
+        callService({module, method, params}) {
+            const scope = this.requireCapability('call-service');
+            if (!module || !method) {
+                throw new HostAPIError('A service module and method are required', 'invalid-params');
+            }
+            if (scope.modules && !scope.modules.includes(module)) {
+                throw new HostAPIError(`The service module "${module}" is not available to this plugin`,
+                    'capability-denied', {capability: 'services', module});
+            }
+            const client = this.runtime.service('rpc').newClient({module});
+            return client.callFunc(method, params)
+                .then((result) => {
+                    return {result};
+                })
+                .catch((err) => {
+                    throw new HostAPIError(err.message, 'service-error', {
+                        module,
+                        method,
+                        source: err.source,
+                        detail: err.detail
+                    });
+                });
+        }
+
+        getFeatureSwitch({id}) {
+            const scope = this.requireCapability('get-feature-switch');
+            if (scope.ids && !scope.ids.includes(id)) {
+                throw new HostAPIError(`The feature switch "${id}" is not available to this plugin`,
+                    'capability-denied', {capability: 'feature-switches', id});
+            }
+            try {
+                return {enabled: this.runtime.featureEnabled(id)};
+            } catch (ex) {
+                throw new HostAPIError(ex.message, 'not-found', {id});
+            }
+        }
+
+        // Sets the session to that of the given token, resolving once the
+        // session has been evaluated.
+        signIn({tokenInfo}) {
+            this.requireCapability('ui-auth-navigate');
+            if (!tokenInfo || typeof tokenInfo.token !== 'string') {
+                throw new HostAPIError('A token is required', 'invalid-params');
+            }
+            const authSession = this.runtime.service('session').getClient();
+            authSession.setSessionCookie(tokenInfo.token, tokenInfo.expires);
+            return authSession.evaluateSession();
+        }
+
+        // Returns the event payload as the plugin may see it, or null if the
+        // plugin may not receive the event at all.
+        scopeEvent(eventName, payload) {
+            const scope = this.capabilities[EVENT_CAPABILITIES[eventName]];
+            if (!scope) {
+                return null;
+            }
+            switch (eventName) {
+            case 'token-changed':
+                if (!scope.token) {
+                    const scoped = Object.assign({}, payload);
+                    delete scoped.token;
+                    return scoped;
+                }
+                return payload;
+            case 'config-changed':
+                if (scope.paths && !isWithinPaths(payload.path, scope.paths)) {
+                    return null;
+                }
+                return payload;
+            default:
+                return payload;
+            }
+        }
+
+        describe() {
+            return {
+                version: HOST_API_VERSION,
+                capabilities: Object.keys(this.capabilities)
+            };
+        }
+
+        // Registers the request handlers on the given window channel.
+        install(channel) {
+            channel.handle('get-host-api', () => {
+                return this.describe();
+            });
+            channel.handle('get-config', (params) => {
+                return this.getConfig(params || {});
+            });
+            channel.handle('get-session', () => {
+                return this.getSession();
+            });
+            channel.handle('call-service', (params) => {
+                return this.callService(params || {});
+            });
+            channel.handle('get-feature-switch', (params) => {
+                return this.getFeatureSwitch(params || {});
+            });
+        }
+    }
+
+    return {
+        HOST_API_VERSION,
+        HostAPI,
+        HostAPIError
+    };
+});
@@ -0,0 +1,187 @@
+define([], () => {
+    /*
+     * Schemas for the payloads of the messages which an iframe plugin may
+     * send to the host; see lib/jsonSchema for the supported subset. A message
+     * which is not declared here is rejected by the channel.
+     */
+
+    // For messages which carry nothing of interest.
+    const ANY = {};
+
+    const STRING = {type: 'string'};
+
+    // A url which may be navigated to: a path on the ui, or an absolute http
+    // or https url, which may be off site (e.g. documentation). This excludes
+    // javascript: and data: urls, which would run in the ui. It also excludes
+    // protocol-relative urls (//host), which pass for a path on the ui but
+    // lead off site; an off site url must say so with its scheme.
+    const URL = {
+        type: 'string',
+        pattern: '^(https?://|/(?!/))'
+    };
+
+    // A url which a form may be posted to; as for URL, but an absolute url must
+    // be https, since the form params may carry credentials.
+    const POST_URL = {
+        type: 'string',
+        pattern: '^(https://|/(?!/))'
+    };
+
+    // A path location ({path, params}) or a named route location ({name,
+    // params, query}).
+    const LOCATION = {
+        anyOf: [{
+            type: 'string'
+        }, {
+            type: 'object',
+            properties: {
+                path: {type: ['string', 'array']},
+                name: STRING,
+                params: {type: 'object'},
+                query: {type: 'object'},
+                external: {type: 'boolean'},
+                newWindow: {type: 'boolean'},
+                replace: {type: 'boolean'}
+            }
+        }]
+    };
+
+    return {
+        // Plugin lifecycle
+        'ready': {
+            type: 'object',
+            properties: {
+                channelId: STRING
+            },
+            required: ['channelId']
+        },
+        'started': ANY,
+        'start-error': {
+            type: 'object',
+            properties: {
+                message: STRING
+            },
+            required: ['message']
+        },
+
+        // Legacy requests, answered with the "auth-status" and "config"
+        // messages.
+        'get-auth-status': ANY,
+        // Also the host api request, which has a path; the legacy request
+        // may have no payload at all, so there is no type.
+        'get-config': {
+            properties: {
+                path: STRING
+            }
+        },
+
+        // The host api; see hostApi.
+        'get-host-api': ANY,
+        'get-session': ANY,
+        'call-service': {
+            type: 'object',
+            properties: {
+                module: STRING,
+                method: STRING,
+                params: {type: 'array'}
+            },
+            required: ['module', 'method']
+        },
+        'get-feature-switch': {
+            type: 'object',
+            properties: {
+                id: STRING
+            },
+            required: ['id']
+        },
+
+        // UI requests
+        'add-button': {
+            type: 'object',
+            properties: {
+                button: {
+                    type: 'object',
+                    properties: {
+                        callbackMessage: {type: 'array'}
+                    }
+                }
+            },
+            required: ['button']
+        },
+        'open-window': {
+            type: 'object',
+            properties: {
+                url: URL
+            },
+            required: ['url']
+        },
+        'set-plugin-params': {
+            type: 'object',
+            properties: {
+                pluginParams: {type: ['object', 'null']}
+            }
+        },
+        'send-instrumentation': {type: 'object'},
+        'ui-navigate': LOCATION,
+        'post-form': {
+            type: 'object',
+            properties: {
+                action: POST_URL,
+                params: {type: 'object'}
+            },
+            required: ['action', 'params']
+        },
+        'clicked': ANY,
+        'click': ANY,
+        // Layout; see resizeReporter.
+        'resize': {
+            type: 'object',
+            properties: {
+                height: {type: 'number', minimum: 0}
+            },
+            required: ['height']
+        },
+        'scroll-to': {
+            type: 'object',
+            properties: {
+                top: {type: 'number', minimum: 0},
+                behavior: {enum: ['auto', 'smooth']}
+            },
+            required: ['top']
+        },
+        'set-title': {
+            type: 'object',
+            properties: {
+                title: STRING
+            },
+            required: ['title']
+        },
+        'ui-auth-navigate': {
+            type: 'object',
+            properties: {
+                nextRequest: LOCATION,
+                tokenInfo: {
+                    type: 'object',
+                    properties: {
+                        token: {type: 'string', minLength: 1},
+                        expires: {type: 'number'}
+                    },
+                    required: ['token', 'expires']
+                }
+            },
+            required: ['nextRequest', 'tokenInfo'],
+            additionalProperties: false
+        },
+        'notification': {
+            type: 'object',
+            properties: {
+                type: {enum: ['info', 'success', 'warning', 'error']},
+                id: STRING,
+                icon: STRING,
+                message: STRING,
+                description: STRING,
+                autodismiss: {type: 'number'}
+            }
+        }
+    };
+});
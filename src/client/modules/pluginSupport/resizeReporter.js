@@ -0,0 +1,93 @@
+define([], () => {
+    /*
+     * For use by an iframe plugin, with its window channel to the host.
+     *
+     * The host sizes the plugin iframe to the height of the plugin content,
+     * as reported with the "resize" message, and scrolls the ui body to show
+     * the part of the plugin content requested with the "scroll-to" message.
+     * So the plugin document itself never scrolls.
+     *
+     *   const reporter = new ResizeReporter({channel});
+     *   reporter.start();
+     *   ...
+     *   reporter.scrollTo('section-id');
+     */
+    class ResizeReporter {
+        constructor({channel, node}) {
+            this.channel = channel;
+            this.node = node || document.documentElement;
+            this.observer = null;
+            this.lastHeight = null;
+            this.reportPending = false;
+            this.windowListener = null;
+        }
+
+        measure() {
+            return Math.ceil(this.node.getBoundingClientRect().height);
+        }
+
+        // Reports are coalesced to one per frame, and only sent for a change.
+        report() {
+            if (this.reportPending) {
+                return;
+            }
+            this.reportPending = true;
+            window.requestAnimationFrame(() => {
+                this.reportPending = false;
+                const height = this.measure();
+                if (height === this.lastHeight) {
+                    return;
+                }
+                this.lastHeight = height;
+                this.channel.send('resize', {height});
+            });
+        }
+
+        start() {
+            if (window.ResizeObserver) {
+                this.observer = new window.ResizeObserver(() => {
+                    this.report();
+                });
+                this.observer.observe(this.node);
+            } else {
+                // Without ResizeObserver, only changes due to the window size
+                // are seen.
+                this.windowListener = () => {
+                    this.report();
+                };
+                window.addEventListener('resize', this.windowListener);
+            }
+            this.report();
+        }
+
+        stop() {
+            if (this.observer) {
+                this.observer.disconnect();
+                this.observer = null;
+            }
+            if (this.windowListener) {
+                window.removeEventListener('resize', this.windowListener);
+                this.windowListener = null;
+            }
+        }
+
+        // Asks the host to scroll to the given offset within the plugin
+        // content, or to the given element, or the element with the given id.
+        scrollTo(target, {behavior = 'auto'} = {}) {
+            let top;
+            if (typeof target === 'number') {
+                top = target;
+            } else {
+                const element = typeof target === 'string' ? document.getElementById(target) : target;
+                if (!element) {
+                    console.warn('Cannot scroll to missing element', target);
+                    return;
+                }
+                top = element.getBoundingClientRect().top - this.node.getBoundingClientRect().top;
+            }
+            this.channel.send('scroll-to', {top: Math.max(0, Math.round(top)), behavior});
+        }
+    }
+
+    return ResizeReporter;
+});
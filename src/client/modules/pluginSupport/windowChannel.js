@@ -1,12 +1,94 @@
 define([
-    'uuid'
+    'uuid',
+    'lib/jsonSchema'
 ], function (
-    Uuid
+    Uuid,
+    jsonSchema
 ) {
 
     // Default period with which to poll for stale listeners.
     const DEFAULT_MONITOR_FREQUENCY = 100;
 
+    // Default time to wait for the reply to a request.
+    const DEFAULT_REQUEST_TIMEOUT = 60000;
+
+    /*
+     * Requests
+     *
+     * A request is a message whose envelope has "expectsReply" set. The
+     * receiver handles it with the handler registered for the message name (see
+     * handle), and replies with a message whose envelope "inReplyTo" is the
+     * id of the request envelope, and whose payload is either
+     *   {ok: true, value}
+     * or
+     *   {ok: false, error: {name, message, code, data}}
+     * An error reply rejects the request with a RemoteError.
+     */
+
+    const REPLY_SCHEMA = {
+        type: 'object',
+        properties: {
+            ok: {type: 'boolean'},
+            error: {
+                type: 'object',
+                properties: {
+                    message: {type: 'string'}
+                }
+            }
+        },
+        required: ['ok']
+    };
+
+    /*
+     * Inbound messages are rejected, that is dropped and counted by reason (see
+     * stats), if they are:
+     *   malformed - not a channel message at all
+     *   recipient - addressed to another channel; this includes the messages
+     *     this channel sends, when it shares the window with its partner
+     *   origin - not from the expected origin (the host)
+     *   source - not from the expected window
+     *   unknown-message - not one of the messages declared by the channel
+     *     schemas
+     *   invalid-payload - not valid according to the message schema
+     *   unexpected-reply - a reply to a request which is not pending
+     * Since windows receive messages from other sources, malformed and
+     * recipient rejections are only logged in debug mode.
+     */
+    const QUIET_REJECTIONS = ['malformed', 'recipient'];
+
+    class ChannelError extends Error {
+        constructor(message, code) {
+            super(message);
+            this.name = 'ChannelError';
+            this.code = code;
+        }
+    }
+
+    class TimeoutError extends ChannelError {
+        constructor(requestName, timeout) {
+            super(`Request "${requestName}" timed out after ${timeout}ms`, 'timeout');
+            this.name = 'TimeoutError';
+            this.timeout = timeout;
+        }
+    }
+
+    class CanceledError extends ChannelError {
+        constructor(requestName, reason) {
+            super(`Request "${requestName}" was canceled: ${reason}`, 'canceled');
+            this.name = 'CanceledError';
+        }
+    }
+
+    // An error reported by the other side of the channel.
+    class RemoteError extends ChannelError {
+        constructor({name, message, code, data}) {
+            super(message, code || 'remote-error');
+            this.name = 'RemoteError';
+            this.remoteName = name;
+            this.data = data;
+        }
+    }
+
     class Listener {
         constructor(config) {
             this.name = config.name;
@@ -16,28 +98,37 @@ define([
     }
 
     class Envelope {
-        constructor({ from, to }) {
+        constructor({ from, to, expectsReply, inReplyTo }) {
             this.from = from;
             this.to = to;
             this.id = new Uuid(4).format();
             this.created = new Date();
+            this.expectsReply = expectsReply || false;
+            this.inReplyTo = inReplyTo || null;
         }
 
         toJSON() {
-            return {
+            const envelope = {
                 from: this.from,
                 to: this.to,
                 id: this.id,
                 created: this.created.getTime()
             };
+            if (this.expectsReply) {
+                envelope.expectsReply = true;
+            }
+            if (this.inReplyTo) {
+                envelope.inReplyTo = this.inReplyTo;
+            }
+            return envelope;
         }
     }
 
     class Message {
-        constructor({ name, payload, from, to }) {
+        constructor({ name, payload, from, to, expectsReply, inReplyTo }) {
             this.name = name;
             this.payload = payload;
-            this.envelope = new Envelope({ from, to });
+            this.envelope = new Envelope({ from, to, expectsReply, inReplyTo });
         }
 
         toJSON() {
@@ -58,10 +149,18 @@ define([
     }
 
     class WindowChannel {
-        constructor({ on, host, to }) {
+        constructor({ on, host, to, source, schemas }) {
             // The given window upon which we will listen for messages.
             this.global = on;
 
+            // The window from which messages must be sent; defaults to the
+            // window upon which we listen.
+            this.source = source || null;
+
+            // Schemas for the payloads of inbound messages, by message name. If
+            // provided, messages which are not declared are rejected.
+            this.schemas = schemas || null;
+
             // The host for the window; required for postmessage
             this.host = host || document.location.origin;
 
@@ -75,13 +174,20 @@ define([
             // this id, recipientID.
             // this.receiveFor = config.receiveFor;
 
+            // Requests sent, by envelope id, awaiting their reply.
             this.awaitingResponse = {};
             this.waitingListeners = {};
             this.listeners = {};
+            // Handlers for requests received, by message name.
+            this.requestHandlers = {};
 
             this.lastId = 0;
             this.sentCount = 0;
             this.receivedCount = 0;
+            // Rejected inbound messages, by reason.
+            this.rejected = {};
+            // The name and time of the last message accepted, for diagnostics.
+            this.lastReceived = null;
 
             this.isDebug = false;
         }
@@ -98,6 +204,60 @@ define([
             this.global = global;
         }
 
+        setSource(source) {
+            this.source = source;
+        }
+
+        rejectMessage(reason, messageEvent, detail) {
+            this.rejected[reason] = (this.rejected[reason] || 0) + 1;
+            if (this.isDebug || !QUIET_REJECTIONS.includes(reason)) {
+                console.warn(`Message rejected (${reason}): ${detail}`, messageEvent.data);
+            }
+        }
+
+        // Returns the reason and detail for rejecting the message, or null if it
+        // should be accepted.
+        checkMessage(messageEvent) {
+            const message = messageEvent.data;
+            if (!message || typeof message !== 'object' || !message.envelope ||
+                typeof message.envelope !== 'object' || typeof message.name !== 'string') {
+                return ['malformed', 'not a channel message'];
+            }
+            if (message.envelope.to !== this.channelId) {
+                return ['recipient', `addressed to ${message.envelope.to}`];
+            }
+            if (messageEvent.origin !== this.host) {
+                return ['origin', `from origin ${messageEvent.origin}`];
+            }
+            const source = this.source || this.global;
+            if (messageEvent.source !== source) {
+                return ['source', 'from an unexpected window'];
+            }
+            if (message.envelope.inReplyTo) {
+                if (!this.awaitingResponse[message.envelope.inReplyTo]) {
+                    // The request may have timed out or been canceled.
+                    return ['unexpected-reply', `"${message.name}" is not awaiting a reply`];
+                }
+                return this.checkPayload(REPLY_SCHEMA, message);
+            }
+            if (this.schemas) {
+                const schema = this.schemas[message.name];
+                if (!schema) {
+                    return ['unknown-message', `"${message.name}" is not an expected message`];
+                }
+                return this.checkPayload(schema, message);
+            }
+            return null;
+        }
+
+        checkPayload(schema, message) {
+            const errors = jsonSchema.validate(schema, message.payload);
+            if (errors.length > 0) {
+                return ['invalid-payload', `"${message.name}" ${errors.join('; ')}`];
+            }
+            return null;
+        }
+
         genId() {
             this.lastId += 1;
             return 'msg_' + String(this.lastId);
@@ -112,50 +272,27 @@ define([
         // }
 
         receiveMessage(messageEvent) {
-            const message = messageEvent.data;
-
-            if (!message) {
-                if (this.isDebug) {
-                    console.warn('No message data; message ignored', messageEvent);
-                }
+            const rejection = this.checkMessage(messageEvent);
+            if (rejection) {
+                this.rejectMessage(rejection[0], messageEvent, rejection[1]);
                 return;
             }
-            if (!message.envelope) {
-                if (this.isDebug) {
-                    console.warn('No message envelope, not from KBase; message ignored', messageEvent);
-                }
-                return;
-            }
-            if (message.envelope.to !== this.channelId) {
-                if (this.isDebug) {
-                    console.warn('Message envelope does not match this channel\'s id', messageEvent);
-                }
+            const message = messageEvent.data;
+            this.receivedCount += 1;
+            this.lastReceived = {name: message.name, received: new Date()};
+
+            // A reply settles the request it is in reply to, and nothing else.
+            if (message.envelope.inReplyTo) {
+                this.receiveReply(message);
                 return;
             }
 
-            // A message sent as a request will have registered a response handler
-            // in the awaitingResponse hash, using a generated id as the key.
-            // TODO: to to rethink using the message id here. Perhaps somehting like a
-            // chain of ids, the root of which is the origination id, which is the one
-            // known here when it it is sent; the message "id" should be assigned whenver
-            // a message is sent, but a response  message would include the original
-            // message in the "chain"...
-
-            // We can also have awaiting responses without an originating request.
-            // These are useful for, e.g., a promise which awaits a message to be sent
-            // within some window...
-
-            if (message.envelope.id && this.awaitingResponse[message.envelope.id]) {
-                try {
-                    const response = this.awaitingResponse[message.envelope.id];
-                    delete this.awaitingResponse[message.envelope.id];
-                    response.handler(message.payload);
-                } catch (ex) {
-                    console.error('Error handling response for message ', message, ex);
-                }
+            if (message.envelope.expectsReply) {
+                this.receiveRequest(message);
+                return;
             }
 
-            // and also awaiting by message name. Like a listener, but they are only used
+            // Messages may also be awaited by message name. Like a listener, but they are only used
             // once.
             if (this.waitingListeners[message.name]) {
                 const awaiting = this.waitingListeners[message.name];
@@ -191,6 +328,65 @@ define([
             }
         }
 
+        receiveReply(message) {
+            const pending = this.awaitingResponse[message.envelope.inReplyTo];
+            delete this.awaitingResponse[message.envelope.inReplyTo];
+            window.clearTimeout(pending.timer);
+            const reply = message.payload;
+            if (reply.ok) {
+                pending.resolve(reply.value);
+            } else {
+                pending.reject(new RemoteError(reply.error || {message: 'Unknown error'}));
+            }
+        }
+
+        receiveRequest(message) {
+            const handler = this.requestHandlers[message.name];
+            new Promise((resolve) => {
+                if (!handler) {
+                    throw new ChannelError(`No handler for request "${message.name}"`, 'no-handler');
+                }
+                resolve(handler(message.payload));
+            })
+                .then((value) => {
+                    this.sendReply(message, {ok: true, value});
+                })
+                .catch((err) => {
+                    this.sendReply(message, {
+                        ok: false,
+                        error: {
+                            name: err.name,
+                            message: err.message,
+                            code: err.code,
+                            data: err.data
+                        }
+                    });
+                });
+        }
+
+        sendReply(request, payload) {
+            // A request which arrives as the channel is stopped has nobody to
+            // reply to.
+            if (!this.currentListener) {
+                return;
+            }
+            this.sendMessage(new Message({
+                name: request.name,
+                payload,
+                from: this.channelId,
+                to: request.envelope.from,
+                inReplyTo: request.envelope.id
+            }));
+        }
+
+        // Registers the handler for requests with the given name. The handler
+        // receives the request payload, and returns the reply value, or a
+        // promise of it; an error thrown or rejected is sent as an error
+        // reply.
+        handle(name, handler) {
+            this.requestHandlers[name] = handler;
+        }
+
         listen(listener) {
             if (!this.listeners[listener.name]) {
                 this.listeners[listener.name] = [];
@@ -213,6 +409,7 @@ define([
 
         sendMessage(message) {
             this.global.postMessage(message.toJSON(), this.host);
+            this.sentCount += 1;
         }
 
         send(name, payload) {
@@ -220,28 +417,52 @@ define([
             this.sendMessage(message);
         }
 
-        sendRequest(message, handler) {
-            // message.to(this.clientId);
-            // message.from(this.hostId);
-            this.awaitingResponse[message.id] = {
-                started: new Date(),
-                handler: handler
-            };
-            this.sendMessage(message);
-        }
-
-        request(name, payload) {
+        /*
+         * Sends a request, returning a promise of the reply value. The promise
+         * is rejected with a RemoteError for an error reply, a TimeoutError if
+         * there is no reply within the timeout, or a CanceledError if the
+         * channel is stopped first.
+         */
+        request(name, payload, { timeout = DEFAULT_REQUEST_TIMEOUT } = {}) {
             return new Promise((resolve, reject) => {
+                const message = new Message({
+                    name,
+                    payload,
+                    from: this.channelId,
+                    to: this.partnerId,
+                    expectsReply: true
+                });
+                const id = message.envelope.id;
+                this.awaitingResponse[id] = {
+                    name,
+                    started: new Date(),
+                    resolve,
+                    reject,
+                    timer: window.setTimeout(() => {
+                        delete this.awaitingResponse[id];
+                        reject(new TimeoutError(name, timeout));
+                    }, timeout)
+                };
                 try {
-                    this.sendRequest(new Message({ name, payload, from: this.channelId }), (response) => {
-                        resolve(response);
-                    });
+                    this.sendMessage(message);
                 } catch (ex) {
+                    window.clearTimeout(this.awaitingResponse[id].timer);
+                    delete this.awaitingResponse[id];
                     reject(ex);
                 }
             });
         }
 
+        // Rejects all requests awaiting a reply.
+        cancelRequests(reason) {
+            const pending = this.awaitingResponse;
+            this.awaitingResponse = {};
+            Object.keys(pending).forEach((id) => {
+                window.clearTimeout(pending[id].timer);
+                pending[id].reject(new CanceledError(pending[id].name, reason));
+            });
+        }
+
         startMonitor() {
             // start with a silly simple one.
             window.setTimeout(() => {
@@ -324,7 +545,9 @@ define([
         stats() {
             return {
                 sent: this.sentCount,
-                received: this.receivedCount
+                received: this.receivedCount,
+                rejected: Object.assign({}, this.rejected),
+                lastReceived: this.lastReceived
             };
         }
 
@@ -347,8 +570,16 @@ define([
                     this.global.removeEventListener('message', this.currentListener, false);
                 }
             }
+            this.currentListener = null;
+            this.cancelRequests('the channel was stopped');
         }
     }
 
-    return WindowChannel;
+    return {
+        WindowChannel,
+        ChannelError,
+        TimeoutError,
+        CanceledError,
+        RemoteError
+    };
 });
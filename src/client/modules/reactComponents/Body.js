@@ -2,24 +2,34 @@ define([
     'preact',
     'htm',
     'lib/DataPipe',
+    'lib/keepAlivePool',
     'uuid',
+    './Loading',
 
     'css!./Body.css'
 ], (
     preact,
     htm,
     DataPipe,
-    Uuid
+    KeepAlivePool,
+    Uuid,
+    Loading
 ) => {
 
     const {h, Component, createRef, render } = preact;
     const html = htm.bind(h);
 
+    // Iframe plugins are all rendered by this component.
+    const IFRAME_PLUGIN_COMPONENT = '/pluginSupport/Plugin';
+
     class PluginComponent {
         constructor(pluginName, component) {
             this.pluginName = pluginName;
             this.component = component;
             this.pipe = new DataPipe();
+            // The node the component is rendered into.
+            this.container = null;
+            this.keepAlive = false;
         }
     }
 
@@ -29,18 +39,70 @@ define([
 
             this.routeListener = null;
             this.routeComponentListener = null;
+            this.pluginLoadingListener = null;
             this.nodeRef = createRef();
             this.pluginComponent = null;
+            this.loadingContainer = null;
+
+            // Iframe plugins which opt in are kept alive, hidden, after
+            // navigating away from them, by plugin name.
+            this.keptAlive = new KeepAlivePool({
+                limit: this.props.runtime.service('plugin').keepAliveLimit,
+                onEvict: (pluginName, pluginComponent) => {
+                    this.unmountComponent(pluginComponent);
+                }
+            });
+        }
+
+        createContainer() {
+            const container = document.createElement('div');
+            container.className = '-component';
+            this.nodeRef.current.appendChild(container);
+            return container;
+        }
+
+        unmountComponent(pluginComponent) {
+            render(null, pluginComponent.container);
+            pluginComponent.container.remove();
+        }
+
+        removeLoading() {
+            if (this.loadingContainer !== null) {
+                render(null, this.loadingContainer);
+                this.loadingContainer.remove();
+                this.loadingContainer = null;
+            }
+        }
+
+        // Hides the current component if it is kept alive, otherwise unmounts
+        // it.
+        leaveCurrent() {
+            this.removeLoading();
+            const current = this.pluginComponent;
+            this.pluginComponent = null;
+            if (current === null) {
+                return;
+            }
+            if (current.keepAlive && this.keptAlive.has(current.pluginName)) {
+                current.container.style.display = 'none';
+                current.pipe.put({hidden: true});
+                return;
+            }
+            this.unmountComponent(current);
+        }
+
+        isKeepAlive(pluginName, component) {
+            return component === IFRAME_PLUGIN_COMPONENT &&
+                this.props.runtime.service('plugin').isKeepAlive(pluginName);
         }
 
         setupForComponent() {
             this.routeComponentListener = this.props.runtime.receive('app', 'route-component', (routed) => {
-                const { params, route } = routed.routeHandler;
+                const { params, route, resolved } = routed.routeHandler;
 
                 if (this.nodeRef.current === null) {
                     return;
                 }
-                const rootNode = this.nodeRef.current;
 
                 // We don't remount if it is the same plugin and component.
                 // But we do if the plugin says so!
@@ -51,16 +113,43 @@ define([
 
                     this.pluginComponent.pipe.put({
                         view: route.view,
-                        params
+                        params,
+                        resolved
                     });
                     return;
                 }
 
-                this.pluginComponent = new PluginComponent(params.plugin, route.component);
-                this.pluginComponent.pipe.put({
+                this.leaveCurrent();
+
+                // A plugin kept alive just needs to be shown, and routed.
+                const kept = this.keptAlive.get(params.plugin);
+                if (kept !== null) {
+                    if (kept.component === route.component && !route.forceMount) {
+                        kept.container.style.display = '';
+                        this.pluginComponent = kept;
+                        kept.pipe.put({
+                            view: route.view,
+                            params,
+                            resolved
+                        });
+                        return;
+                    }
+                    this.keptAlive.remove(params.plugin);
+                    this.unmountComponent(kept);
+                }
+
+                const pluginComponent = new PluginComponent(params.plugin, route.component);
+                pluginComponent.container = this.createContainer();
+                this.pluginComponent = pluginComponent;
+                pluginComponent.pipe.put({
                     view: route.view,
-                    params
+                    params,
+                    resolved
                 });
+                if (this.isKeepAlive(params.plugin, route.component)) {
+                    pluginComponent.keepAlive = true;
+                    this.keptAlive.add(params.plugin, pluginComponent);
+                }
 
                 const module = (() => {
                     if (route.component.startsWith('/')) {
@@ -75,28 +164,55 @@ define([
                     }
                 })();
 
+                const timings = this.props.runtime.routeTimings;
+                const requireSpan = timings.start('require');
                 require([module], (Component) => {
+                    timings.end(requireSpan);
+                    // The component may have been navigated away from, and
+                    // unmounted, while loading.
+                    if (!pluginComponent.container.isConnected) {
+                        return;
+                    }
                     const props = {
                         runtime: this.props.runtime,
-                        pipe: this.pluginComponent.pipe,
+                        pipe: pluginComponent.pipe,
                         view: route.view,
                         params,
+                        resolved: resolved || {},
                         key: new Uuid(4).format()
                     };
 
-                    // ensure the root node is empty.
-                    while (rootNode.firstChild) {
-                        rootNode.removeChild(rootNode.firstChild);
-                    }
-
-                    // Then render our component.
-                    render(html`<${Component} ...${props}/>`, rootNode);
+                    const renderSpan = timings.start('render');
+                    render(html`<${Component} ...${props}/>`, pluginComponent.container);
+                    timings.end(renderSpan);
                 });
             });
         }
 
+        // A lazy plugin is loaded the first time one of its routes is
+        // visited; the body shows that it is loading in the meantime.
+        setupForPluginLoading() {
+            this.pluginLoadingListener = this.props.runtime.receive('app', 'plugin-loading', ({pluginName}) => {
+                if (this.nodeRef.current === null) {
+                    return;
+                }
+
+                // Whatever component was showing is replaced, so the routed
+                // component must be mounted afresh.
+                this.leaveCurrent();
+                this.loadingContainer = this.createContainer();
+                render(html`
+                    <div style=${{margin: '10px'}}
+                         data-k-b-testhook-element="plugin-loading">
+                        <${Loading} message=${`Loading ${pluginName}...`} />
+                    </div>
+                `, this.loadingContainer);
+            });
+        }
+
         componentDidMount() {
             this.setupForComponent();
+            this.setupForPluginLoading();
         }
 
         componentWillUnmount() {
@@ -106,6 +222,11 @@ define([
             if (this.routeComponentListener) {
                 this.props.runtime.drop(this.routeComponentListener);
             }
+            if (this.pluginLoadingListener) {
+                this.props.runtime.drop(this.pluginLoadingListener);
+            }
+            this.leaveCurrent();
+            this.keptAlive.clear();
         }
 
         render() {
@@ -143,6 +143,9 @@ define([
             }, CLOCK_INTERVAL);
         }
 
+        componentWillUnmount() {
+            window.clearInterval(this.timer);
+        }
 
 
         renderNiceRelativeRange({now, startAt, endAt}) {
@@ -0,0 +1,70 @@
+define([
+    'preact',
+    'htm',
+
+    'bootstrap'
+], (
+    preact,
+    htm
+) => {
+
+    const {h, Component} = preact;
+    const html = htm.bind(h);
+
+    /*
+    ErrorView
+
+    A route component for displaying an error in place of the requested page,
+    e.g. when a route guard does not pass.
+
+    params:
+        title - the page title and error heading
+        message - a short description of the error
+        reasons - optional array of {code, message, guard}, for more detail
+    */
+    class ErrorView extends Component {
+        componentDidMount() {
+            this.props.runtime.send('ui', 'setTitle', this.props.params.title || 'Error');
+        }
+
+        renderReasons() {
+            const reasons = this.props.params.reasons;
+            if (!reasons || reasons.length === 0) {
+                return;
+            }
+            const items = reasons.map(({message, code}) => {
+                return html`
+                    <li data-k-b-testhook-element="reason"
+                        data-reason-code=${code}>
+                        ${message}
+                    </li>
+                `;
+            });
+            return html`
+                <ul>
+                    ${items}
+                </ul>
+            `;
+        }
+
+        render() {
+            const {title, message} = this.props.params;
+            return html`
+                <div style=${{margin: '0 10px'}}
+                     data-k-b-testhook-component="error">
+                    <div className="alert alert-danger">
+                        <p style=${{fontSize: '140%'}}>
+                            <span className="fa fa-exclamation-triangle"></span>
+                            ${' '}
+                            <strong>${title || 'Error'}</strong>
+                        </p>
+                        <p>${message}</p>
+                        ${this.renderReasons()}
+                    </div>
+                </div>
+            `;
+        }
+    }
+
+    return ErrorView;
+});
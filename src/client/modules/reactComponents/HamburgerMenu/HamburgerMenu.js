@@ -30,7 +30,7 @@ define([
                 }
                 return html`
                     <li>
-                        <a href=${menuItem.uri ? menuItem.uri : '/#' + menuItem.path}
+                        <a href=${menuItem.uri ? menuItem.uri : menuItem.href}
                            target=${menuItem.newWindow ? '_blank' : null}>
                             ${icon}
                             <span>${menuItem.label}</span>
@@ -34,6 +34,15 @@ define([
             this.onUpdate(this.computeMenu());
         }
 
+        withHrefs(menuItems) {
+            const routeService = this.runtime.service('route');
+            return menuItems.map((item) => {
+                return Object.assign({}, item, {
+                    href: routeService.makeHref(item.path)
+                });
+            });
+        }
+
         computeMenu() {
             const allowedTags = this.runtime.config('ui.allow', []);
             const isLoggedIn = this.runtime.service('session').isLoggedIn();
@@ -42,7 +51,7 @@ define([
             });
 
             return {
-                main: this.menuDefinition.main.filter((item) => {
+                main: this.withHrefs(this.menuDefinition.main.filter((item) => {
                     if (!isLoggedIn && item.authRequired) {
                         return false;
                     }
@@ -53,8 +62,8 @@ define([
                         return intersect(item.allowRoles, userRoles);
                     }
                     return true;
-                }),
-                developer: this.menuDefinition.developer.filter((item) => {
+                })),
+                developer: this.withHrefs(this.menuDefinition.developer.filter((item) => {
                     if (!isLoggedIn && item.authRequired) {
                         return false;
                     }
@@ -65,8 +74,8 @@ define([
                         return intersect(item.allowRoles, userRoles);
                     }
                     return true;
-                }),
-                help: this.menuDefinition.help.filter((item) => {
+                })),
+                help: this.withHrefs(this.menuDefinition.help.filter((item) => {
                     if (!isLoggedIn && item.authRequired) {
                         return false;
                     }
@@ -77,7 +86,7 @@ define([
                         return intersect(item.allowRoles, userRoles);
                     }
                     return true;
-                })
+                }))
             };
         }
     }
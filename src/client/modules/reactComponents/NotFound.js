@@ -49,6 +49,18 @@ define([
 
         async checkSites() {
             const request = this.props.params.request;
+
+            // A route matched the path, but its params did not conform; there is
+            // no point looking elsewhere.
+            const validationErrors = this.props.params.validationErrors;
+            if (validationErrors && validationErrors.length > 0) {
+                this.setState({
+                    status: 'invalid-params',
+                    path: request.path.join('/')
+                });
+                return;
+            }
+
             if (!TRY_UPSTREAM_SITES) {
                 console.warn('not trying upstream sites', request);
                 if (request.realPath.length === 1 &&
@@ -201,6 +213,39 @@ define([
             `;
         }
 
+        renderInvalidParams() {
+            this.props.runtime.send('ui', 'setTitle', `Not Found - ${this.state.path}`);
+            const errors = this.props.params.validationErrors.map(({param, value, expected}) => {
+                return html`
+                    <li data-k-b-testhook-element="invalid-param"
+                        data-param=${param}>
+                        "${param}" is "${value}", but should be ${expected}
+                    </li>
+                `;
+            });
+            return html`
+                <div className="well" >
+                    <div style=${{display: 'flex', flexDirection: 'row'}}>
+                        <div style=${{flex: '0 0 auto', marginRight: '30px'}}>
+                            <img src="/images/flapjack.png" />
+                        </div>
+                        <div style=${{flex: '1 1 0px'}}>
+
+                            <p className="text-danger" style=${{fontSize: '140%', marginTop: '10px'}}>
+                                Sorry, "${this.state.path}" was not found; the request has invalid parameters:
+                            </p>
+
+                            <ul>
+                                ${errors}
+                            </ul>
+
+                            ${this.renderKBaseLinks()}
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+
         renderExistsOnMarketingSite() {
             const marketingURL = new URL(`https://${this.props.runtime.config('ui.services.route.urls.marketing')}/${this.state.path}`);
             const query = marketingURL.searchParams;
@@ -361,6 +406,8 @@ define([
                 return this.renderNotFound();
             case 'path-does-not-exist':
                 return this.renderPathNotFound();
+            case 'invalid-params':
+                return this.renderInvalidParams();
             case 'found-on-marketing':
                 return this.renderExistsOnMarketingSite();
             case 'found-on-outreach':
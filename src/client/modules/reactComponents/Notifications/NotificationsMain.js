@@ -162,8 +162,12 @@ define([
                 summary[newMessage.type] += 1;
             }
 
+            // The update replaces the notification content entirely, so that
+            // nothing of the old content lingers.
             notification.type = newMessage.type;
             notification.message = newMessage.message;
+            notification.description = newMessage.description;
+            notification.icon = newMessage.icon;
             notification.autodismiss = newMessage.autodismiss;
             if (newMessage.autodismiss) {
                 notification.autodismissStartedAt = new Date().getTime();
@@ -0,0 +1,51 @@
+define([
+    'preact',
+    'htm',
+    './CountdownClock'
+], (
+    preact,
+    htm,
+    CountdownClock
+) => {
+
+    const {h, Component} = preact;
+    const html = htm.bind(h);
+
+    /*
+     * The content of the notification shown when the session is about to
+     * expire: a countdown to the expiry, and a button for each provider with
+     * which the user may sign in again, in a popup.
+     */
+    class SessionExpiring extends Component {
+        renderSignin() {
+            const buttons = this.props.providers.map((provider) => {
+                return html`
+                    <button className="btn btn-default btn-sm"
+                            style=${{marginRight: '4px'}}
+                            data-k-b-testhook-button="signin-again"
+                            onClick=${() => {this.props.onSignin(provider);}}>
+                        Sign in again with ${provider}
+                    </button>
+                `;
+            });
+            return buttons;
+        }
+
+        render() {
+            // The clock counts down to its startAt.
+            return html`
+                <div className="SessionExpiring"
+                     data-k-b-testhook-component="session-expiring">
+                    <div>
+                        Your session will expire <${CountdownClock} startAt=${this.props.expiresAt} />
+                    </div>
+                    <div style=${{marginTop: '4px'}}>
+                        ${this.renderSignin()}
+                    </div>
+                </div>
+            `;
+        }
+    }
+
+    return SessionExpiring;
+});
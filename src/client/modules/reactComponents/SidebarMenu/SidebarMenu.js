@@ -51,6 +51,10 @@ define([
         }
 
         onNavClick(path) {
+            if (this.props.runtime.service('route').isPathMode()) {
+                this.props.runtime.send('app', 'navigate', {path});
+                return;
+            }
             const oldHref = window.location.href;
             window.location.href = '/#' + path;
             if (oldHref === window.location.href) {
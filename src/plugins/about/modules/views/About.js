@@ -200,6 +200,49 @@ define([
 
         }
 
+        renderPluginFailures() {
+            const failures = this.props.runtime.service('plugin').listFailures();
+            if (failures.length === 0) {
+                return;
+            }
+            const rows = failures.map(({pluginName, stage, message}) => {
+                return html`
+                    <tr data-k-b-testhook-element="plugin-failure"
+                        data-plugin=${pluginName}>
+                        <td>${pluginName}</td>
+                        <td>${stage}</td>
+                        <td>${message}</td>
+                    </tr>
+                `;
+            });
+            return html`
+                <div className="row">
+                    <div className="col-sm-12"
+                         data-k-b-testhook-panel="plugin-failures">
+                        <h2>
+                            Plugin Failures
+                        </h2>
+                        <div className="alert alert-danger">
+                            The following plugins could not be installed or loaded,
+                            and have been disabled.
+                        </div>
+                        <table className="table">
+                            <thead>
+                                <tr>
+                                    <th>Plugin</th>
+                                    <th>Failed At</th>
+                                    <th>Reason</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${rows}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            `;
+        }
+
         render() {
             return html`
                 <div className="container-fluid View"
@@ -220,6 +263,7 @@ define([
                             ${this.renderVersionInfo()}
                         </div>
                     </div>
+                    ${this.renderPluginFailures()}
                 </div>
             `;
         }
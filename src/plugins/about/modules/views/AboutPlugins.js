@@ -0,0 +1,140 @@
+define([
+    'preact',
+    'htm',
+    'css!./style.css'
+], (
+    preact,
+    htm
+) => {
+
+    const {h, Component} = preact;
+    const html = htm.bind(h);
+
+    class AboutPlugins extends Component {
+        componentDidMount() {
+            this.props.runtime.send('ui', 'setTitle', 'About the UI Plugins');
+        }
+
+        renderSource({source}) {
+            switch (source.kind) {
+            case 'github':
+                return html`
+                    <a href=${source.url} target="_blank">
+                        ${source.account}/${source.repo}
+                    </a>
+                `;
+            case 'directory':
+                return html`<span>${source.path}</span>`;
+            default:
+                return html`<span>internal</span>`;
+            }
+        }
+
+        renderRoutes(routes) {
+            if (routes.length === 0) {
+                return html`<span>-</span>`;
+            }
+            // Only routes without params can be linked to.
+            const items = routes.map(({path, href}) => {
+                if (href) {
+                    return html`<li><a href=${href}>${path}</a></li>`;
+                }
+                return html`<li>${path}</li>`;
+            });
+            return html`
+                <ul className="list-unstyled">
+                    ${items}
+                </ul>
+            `;
+        }
+
+        renderMenuItems(menuItems) {
+            if (menuItems.length === 0) {
+                return html`<span>-</span>`;
+            }
+            const items = menuItems.map(({name, label}) => {
+                return html`<li title=${name}>${label}</li>`;
+            });
+            return html`
+                <ul className="list-unstyled">
+                    ${items}
+                </ul>
+            `;
+        }
+
+        renderDuration(duration) {
+            if (duration === null) {
+                return '-';
+            }
+            return `${duration} ms`;
+        }
+
+        renderStatus({status, failure}) {
+            if (status === 'failed') {
+                return html`
+                    <span className="text-danger"
+                          title=${failure.message}>
+                        failed (${failure.stage})
+                    </span>
+                `;
+            }
+            return html`<span>${status}</span>`;
+        }
+
+        renderPlugin(plugin) {
+            return html`
+                <tr data-k-b-testhook-element="plugin"
+                    data-plugin=${plugin.name}>
+                    <td>
+                        <div>${plugin.name}</div>
+                        ${plugin.title ? html`<div className="text-muted">${plugin.title}</div>` : ''}
+                    </td>
+                    <td>${plugin.version || '-'}</td>
+                    <td>${plugin.type || '-'}${plugin.lazy ? ' (lazy)' : ''}</td>
+                    <td>${this.renderSource(plugin)}</td>
+                    <td>${this.renderRoutes(plugin.routes)}</td>
+                    <td>${this.renderMenuItems(plugin.menuItems)}</td>
+                    <td>${this.renderDuration(plugin.installDuration)}</td>
+                    <td>${this.renderDuration(plugin.loadDuration)}</td>
+                    <td>${this.renderStatus(plugin)}</td>
+                </tr>
+            `;
+        }
+
+        render() {
+            const plugins = this.props.runtime.service('plugin').listPlugins()
+                .sort((a, b) => {
+                    return a.name.localeCompare(b.name);
+                });
+            const rows = plugins.map((plugin) => {
+                return this.renderPlugin(plugin);
+            });
+            return html`
+                <div className="container-fluid View"
+                     data-k-b-testhook-plugin="about"
+                     data-k-b-testhook-panel="plugins">
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>Plugin</th>
+                                <th>Version</th>
+                                <th>Type</th>
+                                <th>Source</th>
+                                <th>Routes</th>
+                                <th>Menu Items</th>
+                                <th>Install Time</th>
+                                <th>Load Time</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }
+    }
+
+    return AboutPlugins;
+});
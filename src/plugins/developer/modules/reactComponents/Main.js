@@ -22,7 +22,7 @@ define([
             return html`
                 <div className="Main">
                    <p>Welcome to the Developer Tools.</p>
-                   <p>Currently this tool just lets you edit the runtime config.</p>
+                   <p>Currently this tool lets you edit the runtime config, and view route timings.</p>
                 </div>
             `;
         }
@@ -0,0 +1,106 @@
+define([
+    'preact',
+    'htm',
+    'css!./RouteTimings.css'
+], (
+    preact,
+    htm
+) => {
+
+    const {h, Component} = preact;
+    const html = htm.bind(h);
+
+    // In the order they occur in a route visit.
+    const PHASES = ['navigate', 'route', 'require', 'render', 'handshake'];
+
+    function formatDuration(duration) {
+        return duration.toFixed(1);
+    }
+
+    class RouteTimings extends Component {
+        constructor(props) {
+            super(props);
+            this.state = {
+                routes: this.props.runtime.routeTimings.byRoute()
+            };
+        }
+        componentDidMount() {
+            this.props.runtime.send('ui', 'setTitle', 'Developer Tools - Route Timings');
+        }
+        refresh() {
+            this.setState({
+                routes: this.props.runtime.routeTimings.byRoute()
+            });
+        }
+        reset() {
+            this.props.runtime.routeTimings.reset();
+            this.refresh();
+        }
+        renderPhase(phases, phaseName) {
+            const phase = phases.find(({phase}) => {
+                return phase === phaseName;
+            });
+            if (!phase) {
+                return html`<td className="-none">-</td>`;
+            }
+            return html`
+                <td title=${`count ${phase.count}, min ${formatDuration(phase.min)}, max ${formatDuration(phase.max)}`}>
+                    <div>${formatDuration(phase.mean)}</div>
+                    <div className="-last">last ${formatDuration(phase.last)}</div>
+                </td>
+            `;
+        }
+        renderTable() {
+            if (this.state.routes.length === 0) {
+                return html`
+                    <p>No routes have been timed yet.</p>
+                `;
+            }
+            const header = PHASES.map((phase) => {
+                return html`<th>${phase}</th>`;
+            });
+            const rows = this.state.routes.map(({route, phases}) => {
+                const cells = PHASES.map((phase) => {
+                    return this.renderPhase(phases, phase);
+                });
+                return html`
+                    <tr>
+                        <td className="-route">${route}</td>
+                        ${cells}
+                    </tr>
+                `;
+            });
+            return html`
+                <table className="table table-striped">
+                    <thead>
+                        <tr>
+                            <th>Route</th>
+                            ${header}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            `;
+        }
+        render() {
+            return html`
+                <div className="RouteTimings"
+                    data-k-b-testhook-component="route-timings">
+                    <p>
+                        The mean duration, in ms, of each phase of visiting a route since the ui was loaded.
+                        These are also recorded as User Timing measures, such as "kbase-ui:route".
+                    </p>
+                    <div className="-toolbar">
+                        <button className="btn btn-default" onClick=${() => {this.refresh();}}>Refresh</button>
+                        <button className="btn btn-default" onClick=${() => {this.reset();}}>Reset</button>
+                    </div>
+                    ${this.renderTable()}
+                </div>
+            `;
+        }
+    }
+
+    return RouteTimings;
+});
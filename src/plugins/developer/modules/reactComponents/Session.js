@@ -0,0 +1,223 @@
+define([
+    'preact',
+    'htm',
+    'css!./Session.css'
+], (
+    preact,
+    htm
+) => {
+
+    const {h, Component} = preact;
+    const html = htm.bind(h);
+
+    // How often the session is refreshed while shown.
+    const REFRESH_INTERVAL = 1000;
+
+    function formatTime(time) {
+        if (time === null || typeof time === 'undefined') {
+            return '-';
+        }
+        return new Date(time).toLocaleString();
+    }
+
+    function formatOffset(offset) {
+        const seconds = (Math.abs(offset) / 1000).toFixed(1);
+        if (offset > 0) {
+            return `${seconds}s ahead of the auth service`;
+        }
+        if (offset < 0) {
+            return `${seconds}s behind the auth service`;
+        }
+        return 'in sync with the auth service';
+    }
+
+    /*
+     * Shows the internals of the session, for diagnosing session problems
+     * such as unexpected sign outs, and allows the session to be fetched
+     * again or its cookies removed.
+     */
+    class Session extends Component {
+        constructor(props) {
+            super(props);
+            this.state = {
+                info: this.session().getDebugInfo()
+            };
+            this.timer = null;
+        }
+        componentDidMount() {
+            this.props.runtime.send('ui', 'setTitle', 'Developer Tools - Session');
+            this.timer = window.setInterval(() => {
+                this.refresh();
+            }, REFRESH_INTERVAL);
+        }
+        componentWillUnmount() {
+            window.clearInterval(this.timer);
+        }
+        session() {
+            return this.props.runtime.service('session');
+        }
+        refresh() {
+            this.setState({
+                info: this.session().getDebugInfo()
+            });
+        }
+        reevaluate() {
+            this.session().reevaluateSession()
+                .then(() => {
+                    this.refresh();
+                });
+        }
+        clearCookies() {
+            this.session().clearSessionCookies()
+                .then(() => {
+                    this.refresh();
+                });
+        }
+        renderState() {
+            const {state, fetchedAt, lastCheckedAt, interruptedAt, clock} = this.state.info;
+            return html`
+                <table className="table -properties">
+                    <tbody>
+                        <tr>
+                            <th>State</th>
+                            <td className="-name" data-k-b-testhook-field="state">${state}</td>
+                        </tr>
+                        <tr>
+                            <th>Fetched at</th>
+                            <td>${formatTime(fetchedAt)}</td>
+                        </tr>
+                        <tr>
+                            <th>Last checked at</th>
+                            <td>${formatTime(lastCheckedAt)}</td>
+                        </tr>
+                        <tr>
+                            <th>Interrupted at</th>
+                            <td>${formatTime(interruptedAt)}</td>
+                        </tr>
+                        <tr>
+                            <th>Clock</th>
+                            <td>${clock ? formatOffset(clock.offset) : '-'}</td>
+                        </tr>
+                        <tr>
+                            <th>Clock synced at</th>
+                            <td>${clock ? formatTime(clock.syncedAt) : '-'}</td>
+                        </tr>
+                    </tbody>
+                </table>
+            `;
+        }
+        renderTokenInfo() {
+            const {tokenInfo} = this.state.info;
+            if (tokenInfo === null) {
+                return html`
+                    <p>There is no session.</p>
+                `;
+            }
+            return html`
+                <pre className="-json">${JSON.stringify(tokenInfo, null, 4)}</pre>
+            `;
+        }
+        renderCookies() {
+            const rows = this.state.info.cookies.map(({name, domain, backup, values, duplicate, matchesSession}) => {
+                const problems = [];
+                if (duplicate) {
+                    problems.push('duplicate');
+                }
+                if (values.length > 0 && this.state.info.token !== null && !matchesSession) {
+                    problems.push('does not match the session');
+                }
+                return html`
+                    <tr>
+                        <td className="-name">${name}</td>
+                        <td>${backup ? 'backup' : 'session'}</td>
+                        <td>${domain || '-'}</td>
+                        <td className="-name">${values.length > 0 ? values.join(', ') : '-'}</td>
+                        <td className="-problem">${problems.join(', ')}</td>
+                    </tr>
+                `;
+            });
+            return html`
+                <table className="table table-striped">
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>Kind</th>
+                            <th>Domain</th>
+                            <th>Values</th>
+                            <th>Problems</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            `;
+        }
+        renderLog() {
+            // Transitions and notified events, most recent first.
+            const entries = this.state.info.history
+                .map(({from, to, event, at}) => {
+                    return {at, event, description: `${from} → ${to}`};
+                })
+                .concat(this.state.info.events.map(({event, detail, at}) => {
+                    return {at, event, description: detail ? JSON.stringify(detail) : ''};
+                }))
+                .sort((a, b) => {
+                    return b.at - a.at;
+                });
+            if (entries.length === 0) {
+                return html`
+                    <p>There have been no session events yet.</p>
+                `;
+            }
+            const rows = entries.map(({at, event, description}) => {
+                return html`
+                    <tr>
+                        <td className="-at">${formatTime(at)}</td>
+                        <td className="-name">${event}</td>
+                        <td className="-name">${description}</td>
+                    </tr>
+                `;
+            });
+            return html`
+                <table className="table table-striped">
+                    <thead>
+                        <tr>
+                            <th>At</th>
+                            <th>Event</th>
+                            <th>Detail</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            `;
+        }
+        render() {
+            return html`
+                <div className="Session"
+                    data-k-b-testhook-component="session">
+                    <div className="-toolbar">
+                        <button className="btn btn-default"
+                            data-k-b-testhook-button="reevaluate"
+                            onClick=${() => {this.reevaluate();}}>Re-evaluate session</button>
+                        <button className="btn btn-danger"
+                            data-k-b-testhook-button="clear-cookies"
+                            onClick=${() => {this.clearCookies();}}>Clear session cookies</button>
+                    </div>
+                    <h4>Session</h4>
+                    ${this.renderState()}
+                    <h4>Token</h4>
+                    ${this.renderTokenInfo()}
+                    <h4>Cookies</h4>
+                    ${this.renderCookies()}
+                    <h4>Events</h4>
+                    ${this.renderLog()}
+                </div>
+            `;
+        }
+    }
+
+    return Session;
+});
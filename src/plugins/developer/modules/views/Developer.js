@@ -3,6 +3,8 @@ define([
     'htm',
     '../reactComponents/Main',
     '../reactComponents/ConfigEditor',
+    '../reactComponents/RouteTimings',
+    '../reactComponents/Session',
     '../reactComponents/Tabs',
     'css!./Developer'
 ], (
@@ -10,6 +12,8 @@ define([
     htm,
     Main,
     ConfigEditor,
+    RouteTimings,
+    Session,
     Tabs
 ) => {
 
@@ -32,6 +36,14 @@ define([
                 id: 'config',
                 title: 'Config Editor',
                 component: ConfigEditor
+            }, {
+                id: 'route-timings',
+                title: 'Route Timings',
+                component: RouteTimings
+            }, {
+                id: 'session',
+                title: 'Session',
+                component: Session
             }];
             const tabProps = {
                 runtime: this.props.runtime
@@ -0,0 +1,317 @@
+/* global describe, it, expect, beforeEach, afterEach, spyOn, jasmine, fail */
+define([
+    'pluginSupport/IFrameController'
+], function (IFrameController) {
+
+    describe('The iframe controller layout messages', function () {
+        let controller, handlers;
+
+        beforeEach(function () {
+            const runtime = {
+                routeTimings: {
+                    start: function () {
+                        return {};
+                    }
+                },
+                service: function () {
+                    return {
+                        getPlugin: function () {
+                            return null;
+                        }
+                    };
+                }
+            };
+            controller = new IFrameController({runtime: runtime, pluginName: 'test', params: {}});
+            handlers = {};
+            spyOn(controller.channel, 'on').and.callFake(function (name, handler) {
+                handlers[name] = handler;
+            });
+            spyOn(controller.channel, 'start');
+            spyOn(controller, 'setState');
+            controller.setupAndStartChannel();
+        });
+
+        afterEach(function () {
+            controller.channel.stop();
+        });
+
+        it('sizes the plugin to the reported height, rounded up', function () {
+            handlers.resize({height: 412.3});
+            expect(controller.setState).toHaveBeenCalledWith({contentHeight: 413});
+        });
+
+        it('scrolls the ui body to the requested offset within the plugin', function () {
+            const container = {
+                scrollTop: 50,
+                getBoundingClientRect: function () {
+                    return {top: 100};
+                },
+                scrollTo: jasmine.createSpy('scrollTo')
+            };
+            controller.ref.current = {
+                getBoundingClientRect: function () {
+                    return {top: 80};
+                }
+            };
+            spyOn(controller, 'scrollContainer').and.returnValue(container);
+            handlers['scroll-to']({top: 200, behavior: 'smooth'});
+            handlers['scroll-to']({top: 10});
+            expect(container.scrollTo.calls.allArgs()).toEqual([
+                [{top: 230, behavior: 'smooth'}],
+                [{top: 40, behavior: 'auto'}]
+            ]);
+        });
+
+        it('does not scroll without a scroll container', function () {
+            spyOn(controller, 'scrollContainer').and.returnValue(null);
+            expect(function () {
+                handlers['scroll-to']({top: 10});
+            }).not.toThrow();
+        });
+    });
+
+    describe('The iframe controller kept alive', function () {
+        let controller, handlers, runtime, showOrHide;
+
+        beforeEach(function () {
+            runtime = {
+                routeTimings: {
+                    start: function () {
+                        return {};
+                    }
+                },
+                service: function () {
+                    return {
+                        getPlugin: function () {
+                            return null;
+                        }
+                    };
+                },
+                send: jasmine.createSpy('send')
+            };
+            const pipe = {
+                tap: function (fun) {
+                    showOrHide = fun;
+                },
+                start: function () {}
+            };
+            controller = new IFrameController({runtime: runtime, pluginName: 'test', params: {}, pipe: pipe});
+            handlers = {};
+            spyOn(controller.channel, 'on').and.callFake(function (name, handler) {
+                handlers[name] = handler;
+            });
+            spyOn(controller.channel, 'start');
+            spyOn(controller.channel, 'send');
+            spyOn(controller, 'setState');
+            spyOn(controller, 'monitorLoad');
+            spyOn(controller, 'clearPluginParams');
+            controller.setupAndStartChannel();
+            controller.componentDidMount();
+        });
+
+        afterEach(function () {
+            controller.channel.stop();
+        });
+
+        it('ignores messages which affect the ui while hidden', function () {
+            spyOn(console, 'warn');
+            showOrHide({hidden: true});
+            expect(controller.clearPluginParams).toHaveBeenCalled();
+            handlers['set-title']({title: 'Hidden'});
+            handlers['ui-navigate']({path: 'dashboard'});
+            handlers.notification({type: 'info', message: 'hi'});
+            handlers.resize({height: 0});
+            expect(runtime.send).not.toHaveBeenCalled();
+            expect(controller.setState).not.toHaveBeenCalled();
+            expect(console.warn.calls.count()).toEqual(4);
+
+            showOrHide({view: 'main', params: {}});
+            expect(controller.channel.send).toHaveBeenCalledWith('navigate', jasmine.objectContaining({view: 'main'}));
+            handlers['set-title']({title: 'Shown'});
+            handlers.resize({height: 200});
+            expect(runtime.send).toHaveBeenCalledWith('ui', 'setTitle', 'Shown');
+            expect(controller.setState).toHaveBeenCalledWith({contentHeight: 200});
+        });
+    });
+
+    describe('The iframe controller load failures', function () {
+        let controller, runtime, errorService, checked, onces;
+
+        // The text of a rendered vnode tree.
+        function textOf(vnode) {
+            if (vnode === null || typeof vnode !== 'object') {
+                return vnode === null || typeof vnode === 'undefined' ? '' : String(vnode);
+            }
+            if (vnode instanceof Array) {
+                return vnode.map(textOf).join('');
+            }
+            return textOf(vnode.props.children);
+        }
+
+        function findButton(vnode) {
+            if (vnode === null || typeof vnode !== 'object') {
+                return null;
+            }
+            if (vnode instanceof Array) {
+                return vnode.map(findButton).find(function (found) {
+                    return found !== null;
+                }) || null;
+            }
+            if (vnode.type === 'button') {
+                return vnode;
+            }
+            return findButton(vnode.props.children);
+        }
+
+        beforeEach(function () {
+            jasmine.clock().install();
+            errorService = {
+                report: jasmine.createSpy('report')
+            };
+            runtime = {
+                routeTimings: {
+                    start: jasmine.createSpy('start').and.callFake(function () {
+                        return {};
+                    }),
+                    discard: jasmine.createSpy('discard')
+                },
+                service: function (name) {
+                    if (name === 'error') {
+                        return errorService;
+                    }
+                    return {
+                        getPlugin: function () {
+                            return null;
+                        }
+                    };
+                },
+                drop: jasmine.createSpy('drop')
+            };
+            controller = new IFrameController({runtime: runtime, pluginName: 'test', params: {}});
+            controller.iframeURL = '/modules/plugins/test/iframe_root/index.html';
+            // The state is applied at once, as the controller is not mounted.
+            spyOn(controller, 'setState').and.callFake(function (state) {
+                Object.assign(controller.state, state);
+            });
+            checked = Promise.resolve({status: 404, statusText: 'Not Found'});
+            spyOn(controller, 'checkIFrameURL').and.callFake(function () {
+                return checked;
+            });
+            onces = {};
+            spyOn(controller.channel, 'once').and.callFake(function (name, handler) {
+                onces[name] = handler;
+            });
+            spyOn(controller.channel, 'setWindow');
+            spyOn(controller, 'setupAndStartChannel');
+            spyOn(controller.channel, 'send');
+            spyOn(controller, 'makeStartMessage').and.returnValue({});
+            spyOn(controller, 'setupChannelSends');
+        });
+
+        afterEach(function () {
+            controller.stopLoadMonitoring();
+            controller.channel.stop();
+            jasmine.clock().uninstall();
+        });
+
+        it('fails a plugin which has not started in time, with what is known of the load', function (done) {
+            controller.monitorLoad();
+            controller.setupCommunication({});
+            controller.channel.lastReceived = {name: 'ready', received: new Date()};
+            onces.ready({channelId: 'plugin'});
+            jasmine.clock().tick(89999);
+            expect(controller.state.failure).toBeNull();
+            jasmine.clock().tick(2);
+
+            const failure = controller.state.failure;
+            expect(failure.reason).toEqual('timeout');
+            expect(failure.step).toEqual('awaiting-started');
+            expect(failure.lastMessage).toEqual('ready');
+            expect(failure.url).toEqual('/modules/plugins/test/iframe_root/index.html');
+            expect(controller.state.loading).toBeNull();
+            expect(runtime.routeTimings.discard).toHaveBeenCalled();
+            checked
+                .then(function () {
+                    expect(controller.checkIFrameURL).toHaveBeenCalledWith('/modules/plugins/test/iframe_root/index.html');
+                    expect(controller.state.failure.http).toEqual({status: 404, statusText: 'Not Found'});
+                    expect(errorService.report.calls.count()).toEqual(1);
+                    expect(errorService.report.calls.argsFor(0)[1].source).toEqual('plugin-load');
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('reports a plugin start error once, without notifying the user', function (done) {
+            controller.monitorLoad();
+            controller.setupCommunication({});
+            onces.ready({channelId: 'plugin'});
+            onces['start-error']({message: 'No such object'});
+            // The load timeout no longer applies.
+            jasmine.clock().tick(90001);
+            expect(controller.state.failure.reason).toEqual('start-error');
+            expect(controller.state.failure.message).toEqual('No such object');
+            checked
+                .then(function () {
+                    expect(errorService.report.calls.count()).toEqual(1);
+                    const [message, options] = errorService.report.calls.argsFor(0);
+                    expect(message).toEqual('No such object');
+                    expect(options.source).toEqual('plugin-start');
+                    expect(options.plugin).toEqual('test');
+                    expect(options.notify).toBe(false);
+                    expect(options.detail.attempt).toEqual(0);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('shows the failure, with a retry button', function (done) {
+            controller.loadStatus.step = 'awaiting-ready';
+            controller.loadFailed({reason: 'timeout', message: 'The plugin did not finish loading'});
+            checked
+                .then(function () {
+                    spyOn(controller, 'retry');
+                    const content = controller.renderFailure().props.children.props.render();
+                    const text = textOf(content);
+                    expect(text).toContain('The plugin did not finish loading');
+                    expect(text).toContain('Waiting for the plugin to load and send "ready"');
+                    expect(text).toContain('404 Not Found');
+                    expect(text).toContain('none');
+                    findButton(content).props.onClick();
+                    expect(controller.retry).toHaveBeenCalled();
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('retries in a new channel, dropping the old receivers', function (done) {
+            const oldChannel = controller.channel;
+            const oldHandshake = controller.loadStatus.handshake;
+            controller.receivers = ['loggedin', 'loggedout'];
+            spyOn(oldChannel, 'stop');
+            controller.loadFailed({reason: 'timeout', message: 'The plugin did not finish loading'});
+            controller.retry();
+
+            expect(runtime.drop.calls.allArgs()).toEqual([['loggedin'], ['loggedout']]);
+            expect(controller.receivers).toEqual([]);
+            expect(oldChannel.stop).toHaveBeenCalled();
+            expect(controller.channel).not.toBe(oldChannel);
+            expect(runtime.routeTimings.discard).toHaveBeenCalledWith(oldHandshake);
+            expect(runtime.routeTimings.start.calls.count()).toEqual(2);
+            expect(controller.loadStatus.step).toEqual('mounting');
+            expect(controller.state.attempt).toEqual(1);
+            expect(controller.state.loading).toEqual('yes');
+            expect(controller.state.failure).toBeNull();
+            checked
+                .then(function () {
+                    // The check of the failed attempt does not bring the
+                    // failure back.
+                    expect(controller.state.failure).toBeNull();
+                    // The new attempt is monitored.
+                    jasmine.clock().tick(90001);
+                    expect(controller.state.failure.reason).toEqual('timeout');
+                })
+                .catch(fail)
+                .finally(done);
+        });
+    });
+});
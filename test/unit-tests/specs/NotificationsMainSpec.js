@@ -0,0 +1,43 @@
+/* global describe, it, expect, beforeEach, spyOn */
+define([
+    'reactComponents/Notifications/NotificationsMain'
+], function (NotificationsMain) {
+
+    describe('The notifications', function () {
+        let notifications;
+
+        beforeEach(function () {
+            notifications = new NotificationsMain({runtime: {}});
+            // The state is applied at once, as the component is not mounted.
+            spyOn(notifications, 'setState').and.callFake(function (state) {
+                Object.assign(notifications.state, state);
+            });
+            spyOn(notifications.autoDismisser, 'run');
+        });
+
+        it('replaces a notification received again with the same id', function () {
+            notifications.processMessage({
+                type: 'warning',
+                id: 'session-expiring',
+                icon: 'clock-o',
+                message: 'Your session is about to expire',
+                description: 'Sign in again to keep your session going'
+            });
+            notifications.processMessage({
+                type: 'success',
+                id: 'session-expiring',
+                icon: 'check',
+                message: 'You have signed in again',
+                autodismiss: 10000
+            });
+
+            expect(notifications.state.notifications.length).toEqual(1);
+            const notification = notifications.state.notifications[0];
+            expect(notification.type).toEqual('success');
+            expect(notification.icon).toEqual('check');
+            expect(notification.message).toEqual('You have signed in again');
+            expect(notification.description).toBeUndefined();
+            expect(notifications.state.summary).toEqual({info: 0, success: 1, warning: 0, error: 0});
+        });
+    });
+});
@@ -0,0 +1,119 @@
+/* global describe, it, expect, beforeEach, spyOn */
+define([
+    'app/services/error'
+], function (errorService) {
+    const ErrorService = errorService.ServiceClass;
+
+    describe('The error service', function () {
+        let events, notifications, service;
+
+        function makeService(config) {
+            const runtime = {
+                config: function (path, defaultValue) {
+                    return path === 'buildInfo.git.commitHash' ? 'abc123' : defaultValue;
+                },
+                send: function (channel, message, data) {
+                    notifications.push(data);
+                },
+                service: function (name) {
+                    switch (name) {
+                    case 'route':
+                        return {
+                            currentRoute: function () {
+                                return {route: 'dashboard', plugin: 'dashboard'};
+                            }
+                        };
+                    case 'session':
+                        return {
+                            isLoggedIn: function () {
+                                return true;
+                            },
+                            getUsername: function () {
+                                return 'alice';
+                            }
+                        };
+                    case 'instrumentation':
+                        return {
+                            send: function (event) {
+                                events.push(event);
+                            }
+                        };
+                    }
+                }
+            };
+            return new ErrorService({config: config || {}, params: {runtime: runtime}});
+        }
+
+        beforeEach(function () {
+            events = [];
+            notifications = [];
+            service = makeService();
+        });
+
+        it('reports each distinct error once, counting repeats', function () {
+            const error = new Error('oops');
+            service.report(error, {source: 'uncaught'});
+            const report = service.report(error, {source: 'uncaught'});
+            service.report(new Error('other'), {source: 'uncaught'});
+            service.report(error, {source: 'reported'});
+
+            expect(report.count).toEqual(2);
+            expect(service.list().map(function (report) {
+                return [report.source, report.message, report.count];
+            })).toEqual([
+                ['uncaught', 'oops', 2],
+                ['uncaught', 'other', 1],
+                ['reported', 'oops', 1]
+            ]);
+            expect(events.length).toEqual(3);
+            expect(notifications.length).toEqual(3);
+        });
+
+        it('captures unhandled rejections, native or bluebird', function () {
+            service.onUnhandledRejection({reason: new Error('native')});
+            service.onUnhandledRejection({detail: {reason: new Error('bluebird')}});
+            expect(service.list().map(function (report) {
+                return [report.source, report.message];
+            })).toEqual([
+                ['unhandled-rejection', 'native'],
+                ['unhandled-rejection', 'bluebird']
+            ]);
+        });
+
+        it('does not notify the user if asked not to', function () {
+            service.report('The plugin did not start', {source: 'plugin-start', plugin: 'dataview', notify: false});
+            expect(notifications).toEqual([]);
+            expect(events.length).toEqual(1);
+            expect(events[0].plugin).toEqual('dataview');
+        });
+
+        it('sends the username only to the reporting endpoint', function () {
+            service = makeService({reporting: {url: 'https://ci.kbase.us/errors'}});
+            const reported = [];
+            spyOn(service.reportingSink, 'send').and.callFake(function (reports) {
+                reported.push.apply(reported, reports);
+            });
+            service.report(new Error('oops'), {detail: {step: 'save'}});
+
+            expect(events.length).toEqual(1);
+            expect(events[0].type).toEqual('error');
+            expect(events[0].detail.route).toEqual('dashboard');
+            expect(events[0].detail.detail).toEqual({step: 'save'});
+            expect(JSON.stringify(events[0])).not.toContain('alice');
+
+            expect(reported.length).toEqual(1);
+            expect(reported[0].username).toEqual('alice');
+            expect(reported[0].commit).toEqual('abc123');
+        });
+
+        it('keeps only the most recent errors', function () {
+            service = makeService({bufferSize: 2});
+            ['a', 'b', 'c'].forEach(function (message) {
+                service.report(message);
+            });
+            expect(service.list().map(function (report) {
+                return report.message;
+            })).toEqual(['b', 'c']);
+        });
+    });
+});
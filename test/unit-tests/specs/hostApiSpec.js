@@ -0,0 +1,150 @@
+/* global describe, it, expect, fail */
+define([
+    'pluginSupport/hostApi'
+], function (hostApi) {
+    const {HostAPI} = hostApi;
+
+    function makeRuntime(cookies) {
+        const config = {
+            'services.Workspace.url': 'https://ci.kbase.us/services/ws',
+            'deploy.environment': 'ci'
+        };
+        return {
+            config: function (path, defaultValue) {
+                return path in config ? config[path] : defaultValue;
+            },
+            featureEnabled: function (id) {
+                if (id !== 'search') {
+                    throw new Error('Feature switch "' + id + '" not defined');
+                }
+                return true;
+            },
+            service: function (name) {
+                if (name === 'session') {
+                    return {
+                        isLoggedIn: function () {
+                            return true;
+                        },
+                        getUsername: function () {
+                            return 'alice';
+                        },
+                        getRealname: function () {
+                            return 'Alice';
+                        },
+                        getEmail: function () {
+                            return 'alice@example.com';
+                        },
+                        getRoles: function () {
+                            return [{id: 'DevToken'}];
+                        },
+                        getAuthToken: function () {
+                            return 'TOKEN';
+                        },
+                        getClient: function () {
+                            return {
+                                setSessionCookie: function (token) {
+                                    cookies.push(token);
+                                },
+                                evaluateSession: function () {
+                                    return Promise.resolve();
+                                }
+                            };
+                        }
+                    };
+                }
+                return {
+                    newClient: function (options) {
+                        return {
+                            callFunc: function (method, params) {
+                                return Promise.resolve([options.module, method, params]);
+                            }
+                        };
+                    }
+                };
+            }
+        };
+    }
+
+    function makeApi(capabilities, cookies) {
+        return new HostAPI({runtime: makeRuntime(cookies || []), pluginName: 'test', capabilities: capabilities});
+    }
+
+    describe('The host api', function () {
+        it('denies requests without the capability', function () {
+            const api = makeApi(['session']);
+            expect(function () {
+                api.getConfig({path: 'deploy.environment'});
+            }).toThrowError(hostApi.HostAPIError);
+            expect(api.describe().capabilities).toEqual(['session']);
+        });
+
+        it('limits config to the granted paths', function () {
+            const api = makeApi([{name: 'config', paths: ['services']}]);
+            expect(api.getConfig({path: 'services.Workspace.url'}).value).toEqual('https://ci.kbase.us/services/ws');
+            try {
+                api.getConfig({path: 'deploy.environment'});
+                fail('expected a HostAPIError');
+            } catch (ex) {
+                expect(ex.code).toEqual('capability-denied');
+            }
+        });
+
+        it('includes the token only when granted', function () {
+            expect(makeApi(['session']).getSession().token).toBeUndefined();
+            const session = makeApi([{name: 'session', token: true}]).getSession();
+            expect(session.token).toEqual('TOKEN');
+            expect(session.roles).toEqual(['DevToken']);
+        });
+
+        it('proxies calls to the granted service modules', function (done) {
+            const api = makeApi([{name: 'services', modules: ['Workspace']}]);
+            expect(function () {
+                api.callService({module: 'Catalog', method: 'version'});
+            }).toThrow();
+            api.callService({module: 'Workspace', method: 'ver', params: []})
+                .then(function (reply) {
+                    expect(reply.result).toEqual(['Workspace', 'ver', []]);
+                    done();
+                });
+        });
+
+        it('reports feature switches', function () {
+            const api = makeApi(['feature-switches']);
+            expect(api.getFeatureSwitch({id: 'search'}).enabled).toBe(true);
+            expect(function () {
+                api.getFeatureSwitch({id: 'nope'});
+            }).toThrow();
+        });
+
+        it('sets the session only with the sign-in capability', function (done) {
+            const cookies = [];
+            try {
+                makeApi([{name: 'session', token: true}], cookies).signIn({tokenInfo: {token: 'NEWTOKEN'}});
+                fail('expected a HostAPIError');
+            } catch (ex) {
+                expect(ex.code).toEqual('capability-denied');
+                expect(ex.data).toEqual({capability: 'sign-in'});
+            }
+            expect(cookies).toEqual([]);
+
+            makeApi(['sign-in'], cookies).signIn({tokenInfo: {token: 'NEWTOKEN', expires: 0}})
+                .then(function () {
+                    expect(cookies).toEqual(['NEWTOKEN']);
+                    done();
+                });
+        });
+
+        it('scopes events to the granted capabilities', function () {
+            const tokenChanged = {loggedIn: true, token: 'TOKEN'};
+            expect(makeApi([]).scopeEvent('token-changed', tokenChanged)).toBeNull();
+            expect(makeApi(['session']).scopeEvent('token-changed', tokenChanged)).toEqual({loggedIn: true});
+            expect(makeApi([{name: 'session', token: true}]).scopeEvent('token-changed', tokenChanged))
+                .toEqual(tokenChanged);
+
+            const api = makeApi([{name: 'config', paths: ['services']}]);
+            expect(api.scopeEvent('config-changed', {path: 'services.Workspace.url', value: 'x'}))
+                .toEqual({path: 'services.Workspace.url', value: 'x'});
+            expect(api.scopeEvent('config-changed', {path: 'ui.theme', value: 'x'})).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,94 @@
+/* global describe, it, expect */
+define([
+    'lib/instrumentation'
+], function (instrumentation) {
+    describe('The instrumentation pipeline', function () {
+        function makeInstrumentation(options) {
+            const sent = [];
+            const sink = {
+                send: function (events, options) {
+                    sent.push({events: events, beacon: options.beacon});
+                }
+            };
+            const pipeline = new instrumentation.Instrumentation(Object.assign({
+                sinks: [sink],
+                batchSize: 2,
+                bufferSize: 3,
+                now: function () {
+                    return 1000;
+                }
+            }, options));
+            return {pipeline: pipeline, sent: sent};
+        }
+
+        function rpcEvent(method) {
+            return {type: 'rpc-latency', module: 'Workspace', method: method, duration: 10, ok: true};
+        }
+
+        it('sends events in batches', function () {
+            const {pipeline, sent} = makeInstrumentation();
+            expect(pipeline.record(rpcEvent('a'))).toBe(true);
+            expect(sent.length).toEqual(0);
+            pipeline.record(rpcEvent('b'));
+            expect(sent.length).toEqual(1);
+            expect(sent[0].events.map(function (event) {
+                return event.method;
+            })).toEqual(['a', 'b']);
+            expect(sent[0].events[0].time).toEqual(1000);
+
+            pipeline.record(rpcEvent('c'));
+            pipeline.flush({beacon: true});
+            expect(sent.length).toEqual(2);
+            expect(sent[1].beacon).toBe(true);
+        });
+
+        it('drops events which do not match their schema', function () {
+            const {pipeline} = makeInstrumentation();
+            expect(pipeline.record({type: 'nope'})).toBe(false);
+            expect(pipeline.record({type: 'rpc-latency', module: 'Workspace'})).toBe(false);
+            expect(pipeline.recent()).toEqual([]);
+        });
+
+        it('records only errors in an unsampled session', function () {
+            const {pipeline} = makeInstrumentation({
+                sampleRate: 0.5,
+                random: function () {
+                    return 0.9;
+                }
+            });
+            expect(pipeline.record(rpcEvent('a'))).toBe(false);
+            expect(pipeline.record({type: 'error', source: 'test', message: 'oops'})).toBe(true);
+        });
+
+        it('keeps the most recent events', function () {
+            const {pipeline} = makeInstrumentation({batchSize: 10});
+            ['a', 'b', 'c', 'd'].forEach(function (method) {
+                pipeline.record(rpcEvent(method));
+            });
+            expect(pipeline.recent().map(function (event) {
+                return event.method;
+            })).toEqual(['b', 'c', 'd']);
+        });
+
+        it('sends only the allowed properties to Google Analytics', function () {
+            const dataLayer = window.dataLayer;
+            window.dataLayer = [];
+            try {
+                new instrumentation.GtagSink().send([
+                    rpcEvent('ver'),
+                    {type: 'error', source: 'plugin-load', plugin: 'dataview', message: 'Not found: alice', detail: {username: 'alice'}},
+                    {type: 'plugin-event', plugin: 'dataview', data: {email: 'alice@example.com'}}
+                ]);
+                expect(window.dataLayer.map(function (args) {
+                    return Array.prototype.slice.call(args);
+                })).toEqual([
+                    ['event', 'rpc-latency', {module: 'Workspace', method: 'ver', duration: 10, ok: true}],
+                    ['event', 'error', {source: 'plugin-load', plugin: 'dataview'}],
+                    ['event', 'plugin-event', {plugin: 'dataview'}]
+                ]);
+            } finally {
+                window.dataLayer = dataLayer;
+            }
+        });
+    });
+});
@@ -0,0 +1,39 @@
+/* global describe, it, expect */
+define([
+    'lib/jsonSchema'
+], function (jsonSchema) {
+    const {validate} = jsonSchema;
+
+    describe('The json schema validator', function () {
+        const schema = {
+            type: 'object',
+            properties: {
+                name: {type: 'string', minLength: 1},
+                count: {type: 'integer', minimum: 0},
+                kind: {enum: ['a', 'b']},
+                tags: {type: 'array', items: {type: 'string'}},
+                url: {type: 'string', pattern: '^https?://'}
+            },
+            required: ['name'],
+            additionalProperties: false
+        };
+
+        it('accepts a valid value', function () {
+            expect(validate(schema, {name: 'x', count: 2, kind: 'a', tags: ['t'], url: 'https://kbase.us'}))
+                .toEqual([]);
+        });
+
+        it('reports each problem with its path', function () {
+            const errors = validate(schema, {count: 1.5, kind: 'c', tags: ['t', 1], url: 'javascript:x', other: 1});
+            expect(errors.length).toEqual(6);
+            expect(errors).toContain('$.tags[1]: expected string, got number');
+            expect(errors).toContain('$: missing required property "name"');
+        });
+
+        it('supports lists of types and alternatives', function () {
+            expect(validate({type: ['object', 'null']}, null)).toEqual([]);
+            expect(validate({anyOf: [{type: 'string'}, {type: 'object'}]}, 1).length).toEqual(1);
+            expect(validate({}, undefined)).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,38 @@
+/* global describe, it, expect */
+define([
+    'lib/keepAlivePool'
+], function (KeepAlivePool) {
+    describe('The keep-alive pool', function () {
+        function makePool(evicted) {
+            return new KeepAlivePool({
+                limit: 2,
+                onEvict: function (key) {
+                    evicted.push(key);
+                }
+            });
+        }
+
+        it('evicts the least recently used item', function () {
+            const evicted = [];
+            const pool = makePool(evicted);
+            pool.add('a', 1);
+            pool.add('b', 2);
+            expect(pool.get('a')).toEqual(1);
+            pool.add('c', 3);
+            expect(evicted).toEqual(['b']);
+            expect(pool.keys()).toEqual(['a', 'c']);
+            expect(pool.get('b')).toBeNull();
+        });
+
+        it('removes items without evicting them', function () {
+            const evicted = [];
+            const pool = makePool(evicted);
+            pool.add('a', 1);
+            expect(pool.remove('a')).toEqual(1);
+            expect(pool.has('a')).toBe(false);
+            pool.add('b', 2);
+            pool.clear();
+            expect(evicted).toEqual(['b']);
+        });
+    });
+});
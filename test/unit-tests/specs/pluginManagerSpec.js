@@ -1,7 +1,9 @@
-/* global describe, it, expect */
+/* global describe, it, expect, fail, spyOn */
 define([
-    'lib/pluginManager'
-], function (pluginManager) {
+    'bluebird',
+    'lib/pluginManager',
+    'app/services/menu'
+], function (Promise, pluginManager, Menu) {
 
     describe('Check out the KBaseServiceManager module exists', function () {
         it('module loads', function (done) {
@@ -10,6 +12,281 @@ define([
         });
     });
 
+    function makeManager() {
+        const config = {
+            coreServices: [{module: 'Workspace'}, {module: 'Catalog'}]
+        };
+        return new pluginManager({
+            runtime: {
+                config: function (path, defaultValue) {
+                    return path in config ? config[path] : defaultValue;
+                },
+                hasService: function (name) {
+                    return ['route', 'menu'].indexOf(name) >= 0;
+                },
+                service: function () {
+                    return {
+                        hasPluginRoutes: function () {
+                            return true;
+                        }
+                    };
+                }
+            }
+        });
+    }
+
+    function makePlugin(pluginName, version, dependencies) {
+        return {
+            pluginName: pluginName,
+            pluginDef: {version: version},
+            pluginConfig: {package: {name: pluginName}, dependencies: dependencies}
+        };
+    }
+
+    function names(plugins) {
+        return plugins.map(function (plugin) {
+            return plugin.pluginName;
+        });
+    }
+
+    describe('Plugin dependencies', function () {
+        it('orders plugins after those they depend upon', function () {
+            const ordered = makeManager().resolveInstallOrder([
+                makePlugin('dataview', '4.7.34', {plugins: {typeview: '^3.0.0'}, services: ['route']}),
+                makePlugin('about', '1.0.0'),
+                makePlugin('typeview', '3.0.0', {coreServices: ['Workspace']})
+            ]);
+            expect(names(ordered)).toEqual(['about', 'typeview', 'dataview']);
+        });
+
+        it('lists all unmet dependencies', function () {
+            try {
+                makeManager().resolveInstallOrder([
+                    makePlugin('dataview', '4.7.34', {plugins: {typeview: '^4.0.0', missing: '*'}}),
+                    makePlugin('typeview', '3.0.0', {services: ['nope'], coreServices: ['Catalog', 'Nope']})
+                ]);
+                fail('expected a dependency error');
+            } catch (ex) {
+                expect(ex.name).toEqual('PluginDependencyError');
+                expect(ex.problems.length).toEqual(4);
+            }
+        });
+
+        it('fails just the plugins with unmet dependencies, and their dependents', function (done) {
+            const manager = makeManager();
+            const plugins = [
+                makePlugin('dataview', '4.7.34', {plugins: {typeview: '*'}}),
+                makePlugin('typeview', '3.0.0', {services: ['nope']}),
+                makePlugin('about', '1.0.0')
+            ];
+            spyOn(console, 'error');
+            manager.resolveContainedInstallOrder(plugins)
+                .then(function (ordered) {
+                    expect(names(ordered)).toEqual(['about']);
+                    expect(manager.getPluginFailure('typeview').stage).toEqual('dependencies');
+                    expect(manager.getPluginFailure('dataview').message).toContain('"typeview"');
+                    expect(plugins[0].pluginDef.disabled).toBe(true);
+                    expect(manager.getPluginFailure('about')).toBeNull();
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('installs the manifest of failed plugins before the others are installed', function (done) {
+            const manager = makeManager();
+            const plugins = [
+                makePlugin('typeview', '3.0.0', {services: ['nope']}),
+                makePlugin('about', '1.0.0')
+            ];
+            const installed = [];
+            manager.runtime.service = function () {
+                return {
+                    hasPluginRoutes: function () {
+                        return false;
+                    }
+                };
+            };
+            spyOn(console, 'error');
+            spyOn(manager, 'installPlugin').and.callFake(function (pluginDef, pluginConfig, options, stage) {
+                return Promise.delay(10)
+                    .then(function () {
+                        installed.push(options.pluginName + ':' + stage);
+                    });
+            });
+            spyOn(manager, 'installLoadedPlugin').and.callFake(function (plugin) {
+                installed.push(plugin.pluginName);
+                return Promise.resolve();
+            });
+            spyOn(manager, 'loadPluginConfig').and.callFake(function (pluginDef) {
+                return Promise.resolve(plugins.find(function (plugin) {
+                    return plugin.pluginDef === pluginDef;
+                }).pluginConfig);
+            });
+            manager.installPlugins({typeview: plugins[0].pluginDef, about: plugins[1].pluginDef})
+                .then(function () {
+                    expect(installed).toEqual(['typeview:manifest', 'about']);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('registers the menu items of failed plugins, so that the menus may be built', function (done) {
+            const manager = makeManager();
+            const plugin = makePlugin('typeview', '3.0.0', {services: ['nope']});
+            plugin.pluginConfig.install = {
+                menu: [{name: 'typeview', path: ['typeview'], label: 'Type View'}]
+            };
+            const routeService = {
+                hasPluginRoutes: function () {
+                    return false;
+                }
+            };
+            const menuService = new Menu({
+                config: {
+                    menus: {
+                        hamburger: {
+                            sections: {
+                                main: {items: [{id: 'typeview'}]}
+                            }
+                        }
+                    }
+                },
+                params: {runtime: manager.runtime}
+            });
+            manager.runtime.service = manager.runtime.getService = function (name) {
+                return name === 'menu' ? menuService : routeService;
+            };
+            spyOn(console, 'error');
+            spyOn(manager, 'loadPluginConfig').and.returnValue(Promise.resolve(plugin.pluginConfig));
+            manager.installPlugins({typeview: plugin.pluginDef})
+                .then(function () {
+                    expect(manager.getPluginFailure('typeview').stage).toEqual('dependencies');
+                    return menuService.start();
+                })
+                .then(function () {
+                    expect(menuService.getCurrentMenu('hamburger').main.map(function (item) {
+                        return item.path;
+                    })).toEqual(['typeview']);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('reports cyclic dependencies', function () {
+            try {
+                makeManager().resolveInstallOrder([
+                    makePlugin('a', '1.0.0', {plugins: {b: '*'}}),
+                    makePlugin('b', '1.0.0', {plugins: {c: '*'}}),
+                    makePlugin('c', '1.0.0', {plugins: {a: '*'}}),
+                    makePlugin('d', '1.0.0')
+                ]);
+                fail('expected a dependency error');
+            } catch (ex) {
+                expect(ex.problems).toEqual(['cyclic plugin dependency: a -> b -> c -> a']);
+            }
+        });
+
+        it('records plugins in the registry', function () {
+            const manager = makeManager();
+            const plugins = [
+                makePlugin('dataview', '4.7.34', {plugins: {typeview: '*'}}),
+                makePlugin('typeview', '3.0.0', {services: ['nope']})
+            ];
+            plugins[0].pluginDef.source = {github: {account: 'kbase', name: 'kbase-ui-plugin-dataview'}};
+            plugins[0].pluginConfig.install = {
+                menu: [{name: 'dataview', route: 'dataview', label: 'Data View'}]
+            };
+            plugins.forEach(function (plugin) {
+                manager.registerPlugin(plugin.pluginName, plugin.pluginDef, plugin.pluginConfig);
+            });
+            spyOn(console, 'error');
+            manager.resolveContainedInstallOrder(plugins);
+
+            const dataview = manager.getPlugin('dataview');
+            expect(dataview.version).toEqual('4.7.34');
+            expect(dataview.type).toEqual('iframe');
+            expect(dataview.source.url).toEqual('https://github.com/kbase/kbase-ui-plugin-dataview');
+            expect(dataview.menuItems).toEqual([{name: 'dataview', label: 'Data View', route: 'dataview', path: undefined}]);
+            expect(dataview.status).toEqual('failed');
+            expect(manager.getPlugin('typeview').failure.stage).toEqual('dependencies');
+            expect(manager.listPlugins().length).toEqual(2);
+        });
+    });
+
+    describe('Lazy plugins', function () {
+        function makeLazyPlugin(pluginName, dependencies) {
+            const plugin = makePlugin(pluginName, '1.0.0', dependencies);
+            plugin.pluginDef.lazy = true;
+            return plugin;
+        }
+
+        function installLazy(manager, plugins) {
+            spyOn(manager, 'installPlugin').and.returnValue(Promise.resolve());
+            plugins.forEach(function (plugin) {
+                manager.registerPlugin(plugin.pluginName, plugin.pluginDef, plugin.pluginConfig);
+            });
+            return Promise.each(plugins, function (plugin) {
+                return manager.installLoadedPlugin(plugin);
+            });
+        }
+
+        function stages(manager) {
+            return manager.installPlugin.calls.all().map(function (call) {
+                return call.args[0].version + ':' + call.args[3];
+            });
+        }
+
+        it('installs just the manifest at startup, and the rest on first route', function (done) {
+            const manager = makeManager();
+            installLazy(manager, [makeLazyPlugin('dataview')])
+                .then(function () {
+                    expect(manager.getPlugin('dataview').status).toEqual('registered');
+                    expect(manager.isPluginLoaded('dataview')).toEqual(false);
+                    expect(stages(manager)).toEqual(['1.0.0:manifest']);
+                    return manager.ensurePluginLoaded('dataview');
+                })
+                .then(function () {
+                    expect(manager.getPlugin('dataview').status).toEqual('loaded');
+                    expect(manager.isPluginLoaded('dataview')).toEqual(true);
+                    expect(stages(manager)).toEqual(['1.0.0:manifest', '1.0.0:deferred']);
+                    return manager.ensurePluginLoaded('dataview');
+                })
+                .then(function () {
+                    expect(manager.installPlugin.calls.count()).toEqual(2);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('loads nothing before the first route, then shares one load between concurrent requests', function (done) {
+            const manager = makeManager();
+            installLazy(manager, [makeLazyPlugin('typeview'), makeLazyPlugin('dataview', {plugins: {typeview: '*'}})])
+                .then(function () {
+                    // The lazy dependency is not loaded for the lazy plugin
+                    // which depends upon it.
+                    expect(stages(manager)).toEqual(['1.0.0:manifest', '1.0.0:manifest']);
+                    expect(manager.getPlugin('typeview').status).toEqual('registered');
+                    expect(manager.isPluginLoaded('typeview')).toEqual(false);
+
+                    const first = manager.ensurePluginLoaded('dataview');
+                    const second = manager.ensurePluginLoaded('dataview');
+                    expect(second).toBe(first);
+                    expect(manager.getPlugin('dataview').status).toEqual('loading');
+                    return Promise.all([first, second, manager.ensurePluginLoaded('typeview')]);
+                })
+                .then(function () {
+                    const deferred = manager.installPlugin.calls.all().filter(function (call) {
+                        return call.args[3] === 'deferred';
+                    });
+                    expect(deferred.length).toEqual(2);
+                    expect(deferred[0].args[2].pluginName).toEqual('typeview');
+                    expect(deferred[1].args[2].pluginName).toEqual('dataview');
+                })
+                .catch(fail)
+                .finally(done);
+        });
+    });
+
     // describe('Instantiate with good and bad values', function () {
     //     it('Good values, but wouldnt run an app.', function (done) {
     //         var rootNode = document.createElement('div');
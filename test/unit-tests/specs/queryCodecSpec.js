@@ -0,0 +1,60 @@
+/* global describe, it, expect */
+define([
+    'lib/queryCodec'
+], function (queryCodec) {
+    const {encodeQuery, decodeQuery} = queryCodec;
+
+    describe('The query codec', function () {
+        it('decodes plain query strings as before', function () {
+            expect(decodeQuery('?a=1&b=hello%20there')).toEqual({a: '1', b: 'hello there'});
+        });
+
+        it('keeps everything after the first "="', function () {
+            expect(decodeQuery('token=abc==&empty')).toEqual({token: 'abc==', empty: ''});
+        });
+
+        it('collects repeated keys into an array', function () {
+            expect(decodeQuery('x=1&x=2&x=3')).toEqual({x: ['1', '2', '3']});
+        });
+
+        it('round trips typed values', function () {
+            const params = {
+                query: 'a=b & c',
+                dataPrivacy: ['private', 'public'],
+                single: ['one'],
+                none: [],
+                page: 3,
+                ratio: -0.5,
+                exact: false,
+                looksLikeNumber: '007',
+                filter: {types: ['Genome'], range: [1, 2], nested: {on: true}},
+                nothing: null,
+                'odd:n[]': 'key'
+            };
+            expect(decodeQuery(encodeQuery(params))).toEqual(params);
+        });
+
+        it('leaves strings unmarked', function () {
+            expect(encodeQuery({a: 'x', b: ['y', 'z']})).toEqual('a=x&b[]=y&b[]=z');
+            expect(encodeQuery({n: 1, skip: undefined})).toEqual('n:n=1');
+        });
+
+        it('supports plain form encoding', function () {
+            const query = encodeQuery({a: [1, 2], b: true, c: {d: 1}}, {typed: false});
+            expect(query).toEqual('a=1&a=2&b=true&c=' + encodeURIComponent('{"d":1}'));
+            expect(decodeQuery('a:n=1', {typed: false})).toEqual({'a:n': '1'});
+        });
+
+        it('supports the legacy form, for external urls and plugin params', function () {
+            const query = queryCodec.encodeLegacyQuery({
+                dataPrivacy: ['private', 'public'],
+                query: 'a b',
+                page: 2,
+                skip: undefined
+            });
+            expect(query).toEqual('dataPrivacy=private%2Cpublic&query=a%20b&page=2');
+            // Which is decoded as plain strings, as before.
+            expect(decodeQuery(query)).toEqual({dataPrivacy: 'private,public', query: 'a b', page: '2'});
+        });
+    });
+});
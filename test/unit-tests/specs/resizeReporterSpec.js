@@ -0,0 +1,79 @@
+/* global describe, it, expect, beforeEach, spyOn */
+define([
+    'pluginSupport/resizeReporter'
+], function (ResizeReporter) {
+
+    describe('The resize reporter', function () {
+        let sent, frames, height, reporter;
+
+        function flushFrames() {
+            frames.splice(0).forEach(function (callback) {
+                callback();
+            });
+        }
+
+        function makeNode(top, nodeHeight) {
+            return {
+                getBoundingClientRect: function () {
+                    return {top: top, height: nodeHeight === undefined ? height : nodeHeight};
+                }
+            };
+        }
+
+        beforeEach(function () {
+            sent = [];
+            frames = [];
+            height = 100.2;
+            spyOn(window, 'requestAnimationFrame').and.callFake(function (callback) {
+                frames.push(callback);
+            });
+            reporter = new ResizeReporter({
+                channel: {
+                    send: function (name, payload) {
+                        sent.push([name, payload]);
+                    }
+                },
+                node: makeNode(0)
+            });
+        });
+
+        it('reports the height, rounded up, once per frame and only when changed', function () {
+            reporter.report();
+            reporter.report();
+            flushFrames();
+            expect(sent).toEqual([['resize', {height: 101}]]);
+
+            reporter.report();
+            flushFrames();
+            expect(sent.length).toEqual(1);
+
+            height = 250;
+            reporter.report();
+            flushFrames();
+            expect(sent).toEqual([['resize', {height: 101}], ['resize', {height: 250}]]);
+        });
+
+        it('asks to scroll to an offset, clamped to the top of the content', function () {
+            reporter.scrollTo(40.6);
+            reporter.scrollTo(-20, {behavior: 'smooth'});
+            expect(sent).toEqual([
+                ['scroll-to', {top: 41, behavior: 'auto'}],
+                ['scroll-to', {top: 0, behavior: 'smooth'}]
+            ]);
+        });
+
+        it('asks to scroll to an element, relative to the content', function () {
+            reporter.node = makeNode(-300);
+            reporter.scrollTo(makeNode(200, 10));
+            expect(sent).toEqual([['scroll-to', {top: 500, behavior: 'auto'}]]);
+        });
+
+        it('ignores a missing element', function () {
+            spyOn(console, 'warn');
+            spyOn(document, 'getElementById').and.returnValue(null);
+            reporter.scrollTo('nowhere');
+            expect(sent).toEqual([]);
+            expect(console.warn).toHaveBeenCalled();
+        });
+    });
+});
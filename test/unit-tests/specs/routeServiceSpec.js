@@ -0,0 +1,197 @@
+/* global describe, it, expect, beforeEach, spyOn */
+define([
+    'app/services/route',
+    'lib/routeTimings'
+], function (RouteService, RouteTimings) {
+    describe('Route guards and resolvers', function () {
+        let sent, loggedIn, service, performance;
+
+        function makeRuntime() {
+            const services = {
+                session: {
+                    isAuthenticated: function () {
+                        return loggedIn;
+                    },
+                    getRoles: function () {
+                        return [];
+                    }
+                },
+                instrumentation: {
+                    send: function () {}
+                }
+            };
+            return {
+                send: function (channel, message, data) {
+                    sent.push({channel: channel, message: message, data: data});
+                },
+                service: function (name) {
+                    return services[name];
+                },
+                routeTimings: new RouteTimings({performance: performance})
+            };
+        }
+
+        function makeHandler(route) {
+            return {
+                request: {path: ['somewhere']},
+                params: {},
+                route: Object.assign({component: '/reactComponents/Somewhere'}, route)
+            };
+        }
+
+        // Routes the given handler as if it were the current route.
+        function route(handler) {
+            service.router.findCurrentRoute = function () {
+                return handler;
+            };
+            return service.doRoute();
+        }
+
+        function routed() {
+            return sent.filter(function (message) {
+                return message.channel === 'app' && message.message === 'route-component';
+            }).map(function (message) {
+                return message.data.routeHandler;
+            });
+        }
+
+        // The route phases timed, and the marks left behind.
+        function timed() {
+            const phases = service.runtime.routeTimings.byRoute().reduce(function (phases, route) {
+                return phases.concat(route.phases.map(function (phase) {
+                    return phase.phase;
+                }));
+            }, []);
+            return {phases: phases, marks: performance.marks};
+        }
+
+        beforeEach(function () {
+            sent = [];
+            loggedIn = true;
+            performance = {
+                marks: [],
+                now: function () {
+                    return 0;
+                },
+                mark: function (name) {
+                    this.marks.push(name);
+                },
+                measure: function () {},
+                clearMarks: function (name) {
+                    this.marks = this.marks.filter(function (mark) {
+                        return mark !== name;
+                    });
+                }
+            };
+            service = new RouteService({
+                config: {
+                    defaultRoute: {redirect: {path: 'login'}}
+                },
+                params: {runtime: makeRuntime()}
+            });
+            spyOn(console, 'error');
+        });
+
+        it('routes when the guards allow it', function (done) {
+            service.guards.register('open', {
+                fun: function () {
+                    return {allowed: true};
+                }
+            });
+            route(makeHandler({authorization: true, guards: ['open']}))
+                .then(function () {
+                    expect(routed().length).toEqual(1);
+                    expect(routed()[0].route.component).toEqual('/reactComponents/Somewhere');
+                    expect(timed()).toEqual({phases: ['route'], marks: []});
+                    done();
+                });
+        });
+
+        it('redirects, without running the later guards', function (done) {
+            loggedIn = false;
+            let laterRan = false;
+            service.guards.register('later', {
+                fun: function () {
+                    laterRan = true;
+                    return {allowed: true};
+                }
+            });
+            route(makeHandler({authorization: true, guards: ['later']}))
+                .then(function () {
+                    const navigate = sent.find(function (message) {
+                        return message.message === 'navigate';
+                    });
+                    expect(navigate.data.path).toEqual('login');
+                    expect(navigate.data.params.nextrequest).toEqual(JSON.stringify({path: ['somewhere']}));
+                    expect(laterRan).toBe(false);
+                    expect(routed().length).toEqual(0);
+                    expect(timed()).toEqual({phases: [], marks: []});
+                    done();
+                });
+        });
+
+        it('fails closed on a guard which throws or rejects', function (done) {
+            service.guards.register('throws', {
+                fun: function () {
+                    throw new Error('thrown');
+                }
+            });
+            service.guards.register('rejects', {
+                fun: function () {
+                    return Promise.reject(new Error('rejected'));
+                }
+            });
+            route(makeHandler({guards: ['throws', 'rejects']}))
+                .then(function () {
+                    const handler = routed()[0];
+                    expect(handler.route.component).toEqual('/reactComponents/Error');
+                    expect(handler.params.reasons).toEqual([
+                        {guard: 'throws', code: 'guard-error', message: 'thrown'},
+                        {guard: 'rejects', code: 'guard-error', message: 'rejected'}
+                    ]);
+                    expect(timed()).toEqual({phases: [], marks: []});
+                    done();
+                });
+        });
+
+        it('fails closed on an unknown guard', function (done) {
+            service.runGuards(makeHandler({guards: ['nope']}))
+                .then(function (failures) {
+                    expect(failures.length).toEqual(1);
+                    expect(failures[0].reason.code).toEqual('guard-error');
+                    expect(failures[0].reason.message).toEqual('The route guard "nope" is not registered');
+                    done();
+                });
+        });
+
+        it('provides resolved data to the component', function (done) {
+            service.resolvers.register('item', {
+                fun: function (arg) {
+                    return Promise.resolve({id: arg.params.id});
+                }
+            });
+            service.resolvers.register('user', {
+                fun: function () {
+                    return 'someone';
+                }
+            });
+            route(makeHandler({resolve: {item: {name: 'item', params: {id: 42}}, user: 'user'}}))
+                .then(function () {
+                    const handler = routed()[0];
+                    expect(handler.route.component).toEqual('/reactComponents/Somewhere');
+                    expect(handler.resolved).toEqual({item: {id: 42}, user: 'someone'});
+                    done();
+                });
+        });
+
+        it('shows an error if a resolver fails', function (done) {
+            route(makeHandler({resolve: {item: 'nope'}}))
+                .then(function () {
+                    const handler = routed()[0];
+                    expect(handler.route.component).toEqual('/reactComponents/Error');
+                    expect(handler.params.reasons[0].code).toEqual('resolver-error');
+                    done();
+                });
+        });
+    });
+});
@@ -0,0 +1,95 @@
+/* global describe, it, expect */
+define([
+    'lib/routeTimings'
+], function (RouteTimings) {
+    describe('The route timings', function () {
+        function makeTimings() {
+            const fakePerformance = {
+                time: 0,
+                marks: [],
+                measures: [],
+                now: function () {
+                    return this.time;
+                },
+                mark: function (name) {
+                    this.marks.push(name);
+                },
+                measure: function (name) {
+                    this.measures.push(name);
+                },
+                clearMarks: function (name) {
+                    this.marks = this.marks.filter(function (mark) {
+                        return mark !== name;
+                    });
+                }
+            };
+            return {
+                performance: fakePerformance,
+                timings: new RouteTimings({performance: fakePerformance})
+            };
+        }
+
+        it('aggregates phase durations per route', function () {
+            const {performance, timings} = makeTimings();
+            [10, 30].forEach(function (duration) {
+                const visit = timings.beginVisit();
+                timings.setRoute(visit, 'dashboard');
+                const span = timings.start('route');
+                performance.time += duration;
+                expect(timings.end(span)).toEqual(duration);
+            });
+            expect(timings.byRoute()).toEqual([{
+                route: 'dashboard',
+                phases: [{
+                    phase: 'route',
+                    mean: 20,
+                    count: 2,
+                    total: 40,
+                    min: 10,
+                    max: 30,
+                    last: 30
+                }]
+            }]);
+            expect(performance.measures).toEqual(['kbase-ui:route', 'kbase-ui:route']);
+            expect(performance.marks).toEqual([]);
+        });
+
+        it('attributes a navigation to the visit it leads to', function () {
+            const {performance, timings} = makeTimings();
+            timings.navigate();
+            performance.time += 5;
+            const visit = timings.beginVisit();
+            timings.setRoute(visit, 'about');
+            expect(timings.byRoute()[0].route).toEqual('about');
+            expect(timings.byRoute()[0].phases[0].phase).toEqual('navigate');
+            expect(timings.byRoute()[0].phases[0].last).toEqual(5);
+        });
+
+        it('gives each span its own marks', function () {
+            const {performance, timings} = makeTimings();
+            timings.beginVisit();
+            const first = timings.start('handshake');
+            const second = timings.start('handshake');
+            expect(first.startMark).not.toEqual(second.startMark);
+            timings.end(second);
+            expect(performance.marks).toEqual([first.startMark]);
+        });
+
+        it('discards a span without recording it', function () {
+            const {performance, timings} = makeTimings();
+            const visit = timings.beginVisit();
+            timings.setRoute(visit, 'dashboard');
+            const span = timings.start('route');
+            timings.discard(span);
+            expect(timings.end(span)).toBeNull();
+            expect(performance.marks).toEqual([]);
+            expect(performance.measures).toEqual([]);
+            expect(timings.byRoute()).toEqual([]);
+
+            const ended = timings.start('route');
+            timings.end(ended);
+            timings.discard(ended);
+            expect(timings.byRoute()[0].phases[0].count).toEqual(1);
+        });
+    });
+});
@@ -0,0 +1,254 @@
+/* global describe, it, expect, fail, spyOn, jasmine */
+define([
+    'lib/router'
+], function (routerMod) {
+
+    function makeRouter(config) {
+        return new routerMod.Router(Object.assign({
+            defaultRoute: {
+                redirect: {
+                    path: 'login'
+                }
+            },
+            runtime: {
+                send: function () {}
+            }
+        }, config || {}));
+    }
+
+    describe('Check out the router module exists', function () {
+        it('module loads', function (done) {
+            expect(routerMod).toBeTruthy();
+            expect(routerMod.Router).toBeTruthy();
+            done();
+        });
+    });
+
+    describe('Routing modes', function () {
+        it('defaults to hash mode', function () {
+            const router = makeRouter();
+            expect(router.mode).toEqual('hash');
+            expect(router.isPathMode()).toBe(false);
+            expect(router.makeHref('about/build')).toEqual('/#about/build');
+        });
+
+        it('supports path mode', function () {
+            const router = makeRouter({mode: 'path'});
+            expect(router.isPathMode()).toBe(true);
+            expect(router.makeHref(['about', 'build'])).toEqual('/about/build');
+        });
+
+        it('rejects an unknown mode', function () {
+            expect(function () {
+                makeRouter({mode: 'fragment'});
+            }).toThrow();
+        });
+
+        it('only considers same-origin ui paths routable in path mode', function () {
+            const router = makeRouter({mode: 'path'});
+            router.addRoute({path: 'about', component: 'views/About'}, {pluginName: 'about'});
+            const origin = window.location.origin;
+            expect(router.isRoutable(new URL(origin + '/about'))).toBe(true);
+            expect(router.isRoutable(new URL(origin + '/no/such/route'))).toBe(false);
+            expect(router.isRoutable(new URL('https://example.com/about'))).toBe(false);
+            expect(makeRouter().isRoutable(new URL(origin + '/about'))).toBe(false);
+        });
+    });
+
+    describe('Route matching', function () {
+        function componentFor(router, path) {
+            const found = router.processPath(path);
+            return found ? found.route.component : null;
+        }
+
+        it('prefers the most specific route regardless of install order', function () {
+            const router = makeRouter();
+            router.addRoute({path: [{type: 'rest', name: 'path'}], component: 'catchall'}, {pluginName: 'a'});
+            router.addRoute({path: 'dataview/:id', component: 'param'}, {pluginName: 'b'});
+            router.addRoute({path: 'dataview/help', component: 'literal'}, {pluginName: 'c'});
+            expect(componentFor(router, ['dataview', 'help'])).toEqual('literal');
+            expect(componentFor(router, ['dataview', '123'])).toEqual('param');
+            expect(componentFor(router, ['something', 'else'])).toEqual('catchall');
+        });
+
+        it('reports ambiguous routes with their plugin names', function () {
+            spyOn(console, 'warn');
+            const router = makeRouter();
+            router.addRoute({path: 'dataview/:id', component: 'first'}, {pluginName: 'dataview'});
+            router.addRoute({path: 'dataview/:ref', component: 'second'}, {pluginName: 'other'});
+            router.addRoute({path: 'dataview/help', component: 'third'}, {pluginName: 'other'});
+            const conflicts = router.listConflicts();
+            expect(conflicts.length).toEqual(1);
+            expect(conflicts[0].winner.pluginName).toEqual('dataview');
+            expect(conflicts[0].loser.pluginName).toEqual('other');
+            expect(console.warn.calls.count()).toEqual(1);
+            expect(console.warn.calls.argsFor(0)[0]).toContain('"other"');
+            expect(console.warn.calls.argsFor(0)[0]).toContain('"dataview"');
+            expect(componentFor(router, ['dataview', '1'])).toEqual('first');
+        });
+
+        it('treats optional params as matching a shorter path', function () {
+            const router = makeRouter();
+            router.addRoute({path: 'about/:-section', component: 'about'}, {pluginName: 'about'});
+            expect(componentFor(router, ['about'])).toEqual('about');
+            expect(router.processPath(['about', 'build']).params.section).toEqual('build');
+            expect(componentFor(router, ['about', 'build', 'more'])).toBeNull();
+        });
+    });
+
+    describe('Typed params', function () {
+        it('coerces conforming params', function () {
+            const router = makeRouter();
+            router.addRoute({path: 'jobs/:id(int)/:-view(enum:log|status)', component: 'job'}, {pluginName: 'jobs'});
+            router.addRoute({path: 'orgs/:orgId(uuid)', component: 'org'}, {pluginName: 'orgs'});
+            expect(router.processPath(['jobs', '42', 'log']).params).toEqual({id: 42, view: 'log'});
+            expect(router.processPath(['orgs', 'A0B1C2D3-0000-1111-2222-333344445555']).params.orgId)
+                .toEqual('a0b1c2d3-0000-1111-2222-333344445555');
+        });
+
+        it('prefers a typed param over an untyped one', function () {
+            const router = makeRouter();
+            router.addRoute({path: 'dataview/:name', component: 'byName'}, {pluginName: 'a'});
+            router.addRoute({path: 'dataview/:id(int)', component: 'byId'}, {pluginName: 'b'});
+            expect(router.processPath(['dataview', '12']).route.component).toEqual('byId');
+            expect(router.processPath(['dataview', 'x12']).route.component).toEqual('byName');
+            expect(router.listConflicts().length).toEqual(0);
+        });
+
+        it('reports non-conforming params as not found', function () {
+            const router = makeRouter();
+            router.addRoute({path: 'jobs/:id(int)', component: 'job'}, {pluginName: 'jobs'});
+            try {
+                router.findRoute({realPath: [''], path: ['jobs', 'abc'], query: {}});
+                fail('expected a NotFoundException');
+            } catch (ex) {
+                expect(ex instanceof routerMod.NotFoundException).toBe(true);
+                expect(ex.validationErrors.length).toEqual(1);
+                expect(ex.validationErrors[0].param).toEqual('id');
+                expect(ex.validationErrors[0].value).toEqual('abc');
+            }
+        });
+
+        it('validates typed query params', function () {
+            const router = makeRouter();
+            router.addRoute({path: 'search?ref=:-ref(ref)', component: 'search'}, {pluginName: 'search'});
+            const found = router.findRoute({realPath: [''], path: ['search'], query: {ref: '1/2/3'}});
+            expect(found.params.ref).toEqual('1/2/3');
+            expect(function () {
+                router.findRoute({realPath: [''], path: ['search'], query: {ref: 'nope'}});
+            }).toThrowError(routerMod.NotFoundException);
+        });
+
+        it('matches an object reference spanning path segments', function () {
+            const router = makeRouter();
+            router.addRoute({name: 'object', path: 'dataview/:ref(ref)', component: 'object'}, {pluginName: 'dataview'});
+            router.addRoute({path: 'dataview/:name', component: 'byName'}, {pluginName: 'other'});
+            expect(router.processPath(['dataview', '1', '2', '3']).params.ref).toEqual('1/2/3');
+            expect(router.processPath(['dataview', '1', '2']).params.ref).toEqual('1/2');
+            expect(router.processPath(['dataview', 'x']).route.component).toEqual('byName');
+            expect(router.processPath(['dataview', '1', '2', 'x'])).toBeNull();
+            expect(router.processPath(['dataview'])).toBeNull();
+            expect(router.pathFor('object', {ref: '1/2/3'})).toEqual('dataview/1/2/3');
+            expect(function () {
+                router.pathFor('object', {ref: 'x'});
+            }).toThrow();
+            expect(router.listConflicts().length).toEqual(0);
+        });
+
+        it('requires a ref param to end the path', function () {
+            expect(function () {
+                makeRouter().addRoute({path: 'dataview/:ref(ref)/edit', component: 'x'}, {pluginName: 'x'});
+            }).toThrow();
+        });
+
+        it('validates typed params when building a path', function () {
+            const router = makeRouter();
+            router.addRoute({name: 'job', path: 'jobs/:id(int)', component: 'job'}, {pluginName: 'jobs'});
+            expect(router.pathFor('job', {id: 7})).toEqual('jobs/7');
+            expect(function () {
+                router.pathFor('job', {id: 'seven'});
+            }).toThrow();
+        });
+
+        it('rejects an unknown param type', function () {
+            expect(function () {
+                makeRouter().addRoute({path: 'x/:id(float)', component: 'x'}, {pluginName: 'x'});
+            }).toThrow();
+        });
+    });
+
+    describe('Reverse routing', function () {
+        function makeNamedRouter() {
+            const router = makeRouter();
+            router.addRoute({
+                name: 'dataview-object',
+                path: 'dataview/:workspace/:object/:-version?sub=:-sub',
+                component: 'views/DataView'
+            }, {pluginName: 'dataview'});
+            router.addRoute({
+                name: 'developer',
+                path: ['developer', {type: 'rest', name: 'path'}],
+                component: 'views/Developer'
+            }, {pluginName: 'developer'});
+            return router;
+        }
+
+        it('builds an encoded path from a named route', function () {
+            const router = makeNamedRouter();
+            expect(router.pathFor('dataview-object', {workspace: 1, object: 'my object'}))
+                .toEqual('dataview/1/my%20object');
+            expect(router.pathFor('dataview-object', {workspace: 1, object: 2, version: 3, sub: 'x'}))
+                .toEqual('dataview/1/2/3?sub=x');
+            expect(router.pathFor('developer', {path: ['config', 'edit']}, {debug: 'true'}))
+                .toEqual('developer/config/edit?debug=true');
+            expect(router.url('developer', {path: ['main']})).toEqual('/#developer/main');
+        });
+
+        it('throws on a missing required param or unknown route', function () {
+            const router = makeNamedRouter();
+            expect(function () {
+                router.pathFor('dataview-object', {workspace: 1});
+            }).toThrow();
+            expect(function () {
+                router.pathFor('no-such-route', {});
+            }).toThrow();
+        });
+
+        it('rejects duplicate route names', function () {
+            const router = makeNamedRouter();
+            expect(function () {
+                router.addRoute({name: 'developer', path: 'dev', component: 'x'}, {pluginName: 'other'});
+            }).toThrow();
+        });
+    });
+
+    describe('External navigation', function () {
+        function makeLocation() {
+            return {
+                href: null,
+                replace: jasmine.createSpy('replace'),
+                assign: jasmine.createSpy('assign')
+            };
+        }
+
+        it('uses the legacy query form', function () {
+            const location = makeLocation();
+            const router = makeRouter({location: location});
+            router.navigateToPath({
+                path: ['narrative', 'ws'],
+                params: {ids: ['1', '2'], title: 'a b'},
+                external: true
+            });
+            expect(location.href).toEqual('/narrative/ws?ids=1%2C2&title=a%20b');
+        });
+
+        it('leaves the ui in path mode, even when replacing', function () {
+            const location = makeLocation();
+            const router = makeRouter({mode: 'path', location: location});
+            spyOn(window.history, 'replaceState');
+            router.navigateToPath({path: ['narrative', 'ws'], external: true, replace: true});
+            expect(location.replace).toHaveBeenCalledWith('/narrative/ws');
+            expect(window.history.replaceState).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -1,4 +1,4 @@
-/* global describe, it, expect */
+/* global describe, it, expect, fail, spyOn */
 define([
     'lib/rpc'
 ], function (rpc) {
@@ -9,4 +9,67 @@ define([
             done();
         });
     });
+
+    describe('Recording rpc latency', function () {
+        function makeClient(result, instrumentation) {
+            const client = new rpc.RPCClient({
+                runtime: {
+                    config: function () {
+                        return 'https://ci.kbase.us/services/ws';
+                    },
+                    service: function () {
+                        return instrumentation;
+                    }
+                },
+                module: 'Workspace'
+            });
+            client.client = {
+                callFunc: function () {
+                    return result;
+                }
+            };
+            return client;
+        }
+
+        it('records a call once, whether it succeeds or fails', function (done) {
+            const events = [];
+            const instrumentation = {
+                send: function (event) {
+                    events.push(event);
+                }
+            };
+            makeClient(Promise.resolve(['1.0.0']), instrumentation).callFunc('ver', [])
+                .then(function (result) {
+                    expect(result).toEqual(['1.0.0']);
+                    return makeClient(Promise.reject(new Error('nope')), instrumentation).callFunc('ver', []);
+                })
+                .then(function () {
+                    fail('expected the call to fail');
+                }, function (err) {
+                    expect(err.message).toEqual('nope');
+                    expect(events.map(function (event) {
+                        return [event.type, event.module, event.method, event.ok];
+                    })).toEqual([
+                        ['rpc-latency', 'Workspace', 'ver', true],
+                        ['rpc-latency', 'Workspace', 'ver', false]
+                    ]);
+                    done();
+                });
+        });
+
+        it('does not let a failure to record affect the call', function (done) {
+            const instrumentation = {
+                send: function () {
+                    throw new Error('instrumentation failed');
+                }
+            };
+            spyOn(console, 'warn');
+            makeClient(Promise.resolve(['1.0.0']), instrumentation).callFunc('ver', [])
+                .then(function (result) {
+                    expect(result).toEqual(['1.0.0']);
+                    expect(console.warn).toHaveBeenCalled();
+                    done();
+                });
+        });
+    });
 });
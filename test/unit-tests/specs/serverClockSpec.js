@@ -0,0 +1,50 @@
+/* global describe, it, expect, beforeEach, afterEach, jasmine */
+define([
+    'kb_ts/ServerClock'
+], function (ServerClock) {
+    describe('The server clock', function () {
+        const LOCAL = new Date(2020, 0, 1).getTime();
+
+        beforeEach(function () {
+            jasmine.clock().install();
+            jasmine.clock().mockDate(new Date(LOCAL));
+        });
+
+        afterEach(function () {
+            jasmine.clock().uninstall();
+        });
+
+        it('gives the time of a server whose clock is ahead', function (done) {
+            const synced = [];
+            const clock = new ServerClock.ServerClock({
+                fetchServerTime: function () {
+                    return Promise.resolve(LOCAL + 120000);
+                },
+                syncInterval: 600000,
+                onSync: function (offset) {
+                    synced.push(offset);
+                }
+            });
+            clock.sync()
+                .then(function (offset) {
+                    expect(offset).toEqual(120000);
+                    expect(synced).toEqual([120000]);
+                    expect(clock.now()).toEqual(LOCAL + 120000);
+                    // A server time, e.g. a token expiry, on the local clock.
+                    expect(clock.toLocal(LOCAL + 180000)).toEqual(LOCAL + 60000);
+                    done();
+                });
+        });
+
+        it('is the local time until synced', function () {
+            const clock = new ServerClock.ServerClock({
+                fetchServerTime: function () {
+                    return Promise.resolve(0);
+                },
+                syncInterval: 600000
+            });
+            expect(clock.now()).toEqual(LOCAL);
+            expect(clock.toLocal(LOCAL)).toEqual(LOCAL);
+        });
+    });
+});
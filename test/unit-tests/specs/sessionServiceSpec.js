@@ -0,0 +1,294 @@
+/* global describe, it, expect, beforeEach, spyOn, jasmine */
+define([
+    'app/services/session',
+    'kb_ts/SessionStateMachine',
+    'reactComponents/SessionExpiring'
+], function (sessionService, SessionStateMachine, SessionExpiring) {
+    const SessionService = sessionService.ServiceClass;
+
+    describe('The session expiry warning', function () {
+        const HOUR = 3600000;
+        const EXPIRES_AT = 1000000 + HOUR;
+        let clock, cookies, idents, sent, machine, auth2Session, service, popup;
+
+        // As for the session state machine, the loop is driven by calling
+        // check directly.
+        function makeClock() {
+            return {
+                time: 1000000,
+                now: function () {
+                    return this.time;
+                },
+                advance: function (by) {
+                    this.time += by;
+                },
+                setTimeout: function () {
+                    return 1;
+                },
+                clearTimeout: function () {}
+            };
+        }
+
+        // The auth session, with its session kept by a state machine on the
+        // fake clock.
+        function makeAuth2Session() {
+            const listeners = [];
+            machine = new SessionStateMachine.SessionStateMachine({
+                auth2Client: {
+                    getTokenInfo: function (token) {
+                        return Promise.resolve({token: token, user: 'alice', expires: EXPIRES_AT, cachefor: HOUR});
+                    },
+                    getMe: function () {
+                        return Promise.resolve({user: 'alice', roles: [], idents: idents});
+                    }
+                },
+                cookies: cookies,
+                clock: clock,
+                network: {
+                    isOnline: function () {
+                        return true;
+                    },
+                    listen: function () {
+                        return function () {};
+                    }
+                },
+                onChange: function (change) {
+                    if (change !== null) {
+                        listeners.forEach(function (listener) {
+                            listener(change);
+                        });
+                    }
+                }
+            });
+            function session() {
+                return machine.getSession();
+            }
+            return {
+                start: function () {
+                    return machine.start();
+                },
+                onChange: function (listener) {
+                    listeners.push(listener);
+                },
+                isAuthorized: function () {
+                    return session() !== null;
+                },
+                isLoggedIn: function () {
+                    return session() !== null;
+                },
+                getToken: function () {
+                    return session() ? session().token : null;
+                },
+                getRoles: function () {
+                    return session() ? session().me.roles : null;
+                },
+                getExpiresAt: function () {
+                    return session() ? session().tokenInfo.expires : null;
+                },
+                getIdentityProviders: function () {
+                    return session() ? session().me.idents.map(function (ident) {
+                        return ident.provider;
+                    }) : [];
+                },
+                getClient: function () {
+                    return {
+                        getProviders: function () {
+                            return [{id: 'Globus'}, {id: 'Google'}];
+                        }
+                    };
+                },
+                now: function () {
+                    return clock.now();
+                },
+                loginStart: jasmine.createSpy('loginStart')
+            };
+        }
+
+        function makeService() {
+            const service = new SessionService({
+                config: {
+                    cookie: {backup: {enabled: false}},
+                    clock: {syncInterval: HOUR, skewWarning: 60000}
+                },
+                params: {
+                    runtime: {
+                        config: function (path, defaultValue) {
+                            return defaultValue;
+                        },
+                        send: function (channel, message, data) {
+                            sent.push({channel: channel, message: message, data: data});
+                        }
+                    }
+                }
+            });
+            service.auth2Session = auth2Session;
+            return service;
+        }
+
+        function notifications() {
+            return sent.filter(function (message) {
+                return message.channel === 'notification';
+            }).map(function (message) {
+                return message.data;
+            });
+        }
+
+        // The props of the SessionExpiring component shown in the warning.
+        function warningProps() {
+            const warning = notifications().find(function (notification) {
+                return notification.id === 'session-expiring' && notification.type === 'warning';
+            });
+            expect(warning.message.type).toBe(SessionExpiring);
+            return warning.message.props;
+        }
+
+        // Starts the session, and advances the clock to the expiry warning.
+        function startExpiring() {
+            return service.start()
+                .then(function () {
+                    clock.advance(HOUR - 120000);
+                    return machine.check();
+                });
+        }
+
+        beforeEach(function () {
+            clock = makeClock();
+            cookies = {
+                token: 'abc',
+                get: function () {
+                    return this.token;
+                },
+                set: function (token) {
+                    this.token = token;
+                },
+                remove: function () {
+                    this.token = null;
+                },
+                ensureExtras: function () {}
+            };
+            idents = [{provider: 'Globus'}];
+            sent = [];
+            auth2Session = makeAuth2Session();
+            service = makeService();
+            popup = {
+                closed: false,
+                focus: jasmine.createSpy('focus'),
+                close: jasmine.createSpy('close')
+            };
+            spyOn(window, 'open').and.returnValue(popup);
+        });
+
+        it('warns of the expiry, in the time of the auth service', function (done) {
+            startExpiring()
+                .then(function () {
+                    const expiring = sent.find(function (message) {
+                        return message.channel === 'session' && message.message === 'expiring';
+                    });
+                    expect(expiring.data).toEqual({expiresAt: EXPIRES_AT, expiresIn: 120000});
+                    expect(warningProps().providers).toEqual(['Globus']);
+                    // The countdown is in local time.
+                    expect(warningProps().expiresAt - Date.now()).toBeLessThan(120001);
+                    done();
+                });
+        });
+
+        it('signs in again in a popup with the chosen provider', function (done) {
+            startExpiring()
+                .then(function () {
+                    warningProps().onSignin('Globus');
+                    expect(window.open).toHaveBeenCalledWith('about:blank', 'kbase-ui-signin', jasmine.any(String));
+                    expect(auth2Session.loginStart).toHaveBeenCalledWith({
+                        provider: 'Globus',
+                        state: {origin: 'session-expiring'},
+                        window: popup
+                    });
+
+                    // A second request goes to the popup already open.
+                    warningProps().onSignin('Globus');
+                    expect(window.open.calls.count()).toEqual(1);
+                    expect(popup.focus).toHaveBeenCalled();
+                    done();
+                });
+        });
+
+        it('offers all the providers if those of the account are not known', function (done) {
+            idents = [];
+            startExpiring()
+                .then(function () {
+                    expect(warningProps().providers).toEqual(['Globus', 'Google']);
+                    warningProps().onSignin('Google');
+                    expect(auth2Session.loginStart.calls.mostRecent().args[0].provider).toEqual('Google');
+                    done();
+                });
+        });
+
+        it('explains a blocked popup', function (done) {
+            window.open.and.returnValue(null);
+            startExpiring()
+                .then(function () {
+                    warningProps().onSignin('Globus');
+                    expect(auth2Session.loginStart).not.toHaveBeenCalled();
+                    expect(notifications().pop().message).toContain('blocked');
+                    done();
+                });
+        });
+
+        it('ends the warning, and closes the popup, when signed in again', function (done) {
+            startExpiring()
+                .then(function () {
+                    warningProps().onSignin('Globus');
+                    // The popup sets the new session cookie.
+                    cookies.token = 'def';
+                    return machine.check();
+                })
+                .then(function () {
+                    expect(popup.close).toHaveBeenCalled();
+                    expect(service.expiring).toBeNull();
+                    const ended = notifications().pop();
+                    expect(ended.type).toEqual('success');
+                    expect(ended.icon).toEqual('check');
+                    expect(ended.message).toEqual('You have signed in again');
+                    done();
+                });
+        });
+
+        it('ends the warning when the session expires', function (done) {
+            startExpiring()
+                .then(function () {
+                    clock.advance(120000);
+                    return machine.check();
+                })
+                .then(function () {
+                    expect(service.expiring).toBeNull();
+                    const ended = notifications().pop();
+                    expect(ended.type).toEqual('error');
+                    expect(ended.icon).toEqual('exclamation-triangle');
+                    expect(ended.message).toEqual('Your session has expired');
+                    done();
+                });
+        });
+
+        it('warns of a skewed clock once, and clears the warning once it is corrected', function () {
+            service.checkClockSkew(120000);
+            service.checkClockSkew(180000);
+            service.checkClockSkew(1000);
+            service.checkClockSkew(2000);
+            const skew = notifications().filter(function (notification) {
+                return notification.id === 'clock-skew';
+            });
+            expect(skew.map(function (notification) {
+                return notification.type;
+            })).toEqual(['warning', 'success']);
+            expect(skew[0].message).toContain('slow by about 2 minute');
+            expect(skew[1].autodismiss).toBeGreaterThan(0);
+        });
+
+        it('shows a sign in button for each provider', function () {
+            const onSignin = jasmine.createSpy('onSignin');
+            const buttons = new SessionExpiring({providers: ['Globus', 'Google'], onSignin: onSignin}).renderSignin();
+            expect(buttons.length).toEqual(2);
+            buttons[1].props.onClick();
+            expect(onSignin).toHaveBeenCalledWith('Google');
+        });
+    });
+});
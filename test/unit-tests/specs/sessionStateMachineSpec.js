@@ -0,0 +1,297 @@
+/* global describe, it, expect, beforeEach */
+define([
+    'kb_ts/SessionStateMachine'
+], function (SessionStateMachine) {
+    describe('The session state machine', function () {
+        const HOUR = 3600000;
+        let clock, cookies, network, auth2Client, changes;
+
+        function makeClock() {
+            return {
+                time: 1000000,
+                now: function () {
+                    return this.time;
+                },
+                advance: function (by) {
+                    this.time += by;
+                },
+                // The loop is driven by calling check directly.
+                setTimeout: function () {
+                    return 1;
+                },
+                clearTimeout: function () {}
+            };
+        }
+
+        function makeCookies() {
+            return {
+                token: null,
+                get: function () {
+                    return this.token;
+                },
+                set: function (token) {
+                    this.token = token;
+                },
+                remove: function () {
+                    this.token = null;
+                },
+                ensureExtras: function () {}
+            };
+        }
+
+        function makeNetwork(online) {
+            return {
+                online: online,
+                isOnline: function () {
+                    return this.online;
+                },
+                listen: function (onOnline, onOffline) {
+                    this.onOnline = onOnline;
+                    this.onOffline = onOffline;
+                    return function () {};
+                },
+                goOnline: function () {
+                    this.online = true;
+                    this.onOnline();
+                },
+                goOffline: function () {
+                    this.online = false;
+                    this.onOffline();
+                }
+            };
+        }
+
+        // Accepts any token, unless given an error to fail with.
+        function makeAuth2Client() {
+            return {
+                error: null,
+                calls: 0,
+                getTokenInfo: function (token) {
+                    this.calls += 1;
+                    if (this.error) {
+                        return Promise.reject(this.error);
+                    }
+                    return Promise.resolve({
+                        token: token,
+                        user: 'someone',
+                        expires: clock.now() + HOUR,
+                        cachefor: 300000
+                    });
+                },
+                getMe: function () {
+                    return Promise.resolve({user: 'someone', roles: []});
+                }
+            };
+        }
+
+        function makeMachine() {
+            return new SessionStateMachine.SessionStateMachine({
+                auth2Client: auth2Client,
+                cookies: cookies,
+                clock: clock,
+                network: network,
+                onChange: function (change) {
+                    if (change !== null) {
+                        changes.push(change);
+                    }
+                }
+            });
+        }
+
+        beforeEach(function () {
+            clock = makeClock();
+            cookies = makeCookies();
+            network = makeNetwork(true);
+            auth2Client = makeAuth2Client();
+            changes = [];
+        });
+
+        it('establishes the session for a session cookie', function (done) {
+            cookies.token = 'abc';
+            const machine = makeMachine();
+            machine.start()
+                .then(function () {
+                    expect(machine.getState()).toEqual('authenticated');
+                    expect(machine.getSession().token).toEqual('abc');
+                    expect(changes).toEqual(['loggedin']);
+                    expect(machine.getHistory().map(function (transition) {
+                        return transition.event;
+                    })).toEqual(['start', 'token-found', 'fetched']);
+                    done();
+                });
+        });
+
+        it('logs out if the token is rejected', function (done) {
+            cookies.token = 'abc';
+            auth2Client.error = {code: '10020'};
+            const machine = makeMachine();
+            machine.start()
+                .then(function () {
+                    expect(machine.getState()).toEqual('none');
+                    expect(cookies.token).toBeNull();
+                    expect(changes).toEqual(['loggedout']);
+                    done();
+                });
+        });
+
+        it('refreshes the session once its cache time has passed', function (done) {
+            cookies.token = 'abc';
+            const machine = makeMachine();
+            machine.start()
+                .then(function () {
+                    clock.advance(300001);
+                    return machine.check();
+                })
+                .then(function () {
+                    expect(machine.getState()).toEqual('authenticated');
+                    expect(auth2Client.calls).toEqual(2);
+                    expect(changes).toEqual(['loggedin']);
+                    done();
+                });
+        });
+
+        it('re-fetches the session on request', function (done) {
+            cookies.token = 'abc';
+            const machine = makeMachine();
+            machine.start()
+                .then(function () {
+                    return machine.refresh();
+                })
+                .then(function () {
+                    expect(machine.getState()).toEqual('authenticated');
+                    expect(auth2Client.calls).toEqual(2);
+                    done();
+                });
+        });
+
+        it('retries while interrupted, and restores the session', function (done) {
+            cookies.token = 'abc';
+            const machine = makeMachine();
+            machine.start()
+                .then(function () {
+                    clock.advance(300001);
+                    auth2Client.error = {code: 'connection-error'};
+                    return machine.check();
+                })
+                .then(function () {
+                    expect(machine.getState()).toEqual('interrupted');
+                    expect(machine.getSession()).toBeNull();
+                    // Not yet time to retry.
+                    clock.advance(4000);
+                    return machine.check();
+                })
+                .then(function () {
+                    expect(auth2Client.calls).toEqual(2);
+                    auth2Client.error = null;
+                    clock.advance(1000);
+                    return machine.check();
+                })
+                .then(function () {
+                    expect(machine.getState()).toEqual('authenticated');
+                    expect(auth2Client.calls).toEqual(3);
+                    expect(changes).toEqual(['loggedin', 'interrupted', 'restored']);
+                    done();
+                });
+        });
+
+        it('logs out when the token expires', function (done) {
+            cookies.token = 'abc';
+            const machine = makeMachine();
+            machine.start()
+                .then(function () {
+                    clock.advance(HOUR);
+                    return machine.check();
+                })
+                .then(function () {
+                    expect(machine.getState()).toEqual('none');
+                    expect(cookies.token).toBeNull();
+                    expect(changes).toEqual(['loggedin', 'loggedout']);
+                    done();
+                });
+        });
+
+        it('logs out when the cookie is removed', function (done) {
+            cookies.token = 'abc';
+            const machine = makeMachine();
+            machine.start()
+                .then(function () {
+                    cookies.token = null;
+                    return machine.check();
+                })
+                .then(function () {
+                    expect(machine.getState()).toEqual('none');
+                    expect(machine.getSession()).toBeNull();
+                    expect(changes).toEqual(['loggedin', 'loggedout']);
+                    done();
+                });
+        });
+
+        it('pauses while offline, and confirms the session when back online', function (done) {
+            cookies.token = 'abc';
+            network.online = false;
+            const machine = makeMachine();
+            machine.start()
+                .then(function () {
+                    expect(machine.getState()).toEqual('offline');
+                    expect(auth2Client.calls).toEqual(0);
+                    network.goOnline();
+                    return machine.check();
+                })
+                .then(function () {
+                    expect(machine.getState()).toEqual('authenticated');
+                    network.goOffline();
+                    expect(machine.getState()).toEqual('offline');
+                    // The session is kept while offline.
+                    expect(machine.getSession().token).toEqual('abc');
+                    network.goOnline();
+                    expect(machine.getState()).toEqual('refreshing');
+                    return machine.check();
+                })
+                .then(function () {
+                    expect(machine.getState()).toEqual('authenticated');
+                    expect(changes).toEqual(['loggedin']);
+                    done();
+                });
+        });
+
+        it('still ends the session by expiry or removal of the cookie while offline', function (done) {
+            cookies.token = 'abc';
+            const machine = makeMachine();
+            machine.start()
+                .then(function () {
+                    network.goOffline();
+                    clock.advance(HOUR - 60000);
+                    return machine.check();
+                })
+                .then(function () {
+                    expect(machine.getState()).toEqual('offline');
+                    expect(changes).toEqual(['loggedin', 'expiring']);
+                    clock.advance(60000);
+                    return machine.check();
+                })
+                .then(function () {
+                    expect(machine.getState()).toEqual('none');
+                    expect(machine.getSession()).toBeNull();
+                    expect(cookies.token).toBeNull();
+                    expect(changes).toEqual(['loggedin', 'expiring', 'loggedout']);
+
+                    // Once signed in again, the cookie may be removed in
+                    // another tab while offline.
+                    cookies.token = 'def';
+                    return machine.check();
+                })
+                .then(function () {
+                    network.goOffline();
+                    cookies.token = null;
+                    return machine.check();
+                })
+                .then(function () {
+                    expect(machine.getState()).toEqual('none');
+                    expect(changes).toEqual(['loggedin', 'expiring', 'loggedout', 'loggedin', 'loggedout']);
+                    // Nothing was fetched while offline.
+                    expect(auth2Client.calls).toEqual(2);
+                    done();
+                });
+        });
+    });
+});
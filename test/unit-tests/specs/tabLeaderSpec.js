@@ -0,0 +1,124 @@
+/* global describe, it, expect, beforeEach, afterEach, jasmine */
+define([
+    'lib/tabLeader'
+], function (TabLeader) {
+    describe('The tab leader', function () {
+        // Like a BroadcastChannel, delivers messages to every other channel
+        // on the bus, though synchronously.
+        function makeBus() {
+            const channels = [];
+            return {
+                channel: function () {
+                    const channel = {
+                        onmessage: null,
+                        postMessage: function (data) {
+                            channels.forEach(function (other) {
+                                if (other !== channel && other.onmessage) {
+                                    other.onmessage({data: data});
+                                }
+                            });
+                        },
+                        close: function () {
+                            channels.splice(channels.indexOf(channel), 1);
+                        }
+                    };
+                    channels.push(channel);
+                    return channel;
+                }
+            };
+        }
+
+        beforeEach(function () {
+            jasmine.clock().install();
+            jasmine.clock().mockDate(new Date(2020, 0, 1));
+        });
+
+        afterEach(function () {
+            jasmine.clock().uninstall();
+        });
+
+        it('elects a single leader', function () {
+            const bus = makeBus();
+            const tabs = [1, 2, 3].map(function () {
+                const tab = new TabLeader({channel: bus.channel()});
+                tab.start();
+                return tab;
+            });
+            jasmine.clock().tick(5000);
+            const leaders = tabs.filter(function (tab) {
+                return tab.isLeader;
+            });
+            expect(leaders.length).toEqual(1);
+            tabs.forEach(function (tab) {
+                expect(tab.leaderId).toEqual(leaders[0].id);
+            });
+        });
+
+        it('hands over the leadership when the leader stops', function () {
+            const bus = makeBus();
+            const first = new TabLeader({channel: bus.channel()});
+            first.start();
+            jasmine.clock().tick(3000);
+            expect(first.isLeader).toBe(true);
+
+            const changes = [];
+            const second = new TabLeader({
+                channel: bus.channel(),
+                onChange: function (isLeader) {
+                    changes.push(isLeader);
+                }
+            });
+            second.start();
+            jasmine.clock().tick(5000);
+            expect(second.isLeader).toBe(false);
+
+            first.stop();
+            jasmine.clock().tick(1000);
+            expect(second.isLeader).toBe(true);
+            expect(changes).toEqual([true]);
+        });
+
+        it('resigns while the page is hidden, and stands again when shown', function () {
+            const bus = makeBus();
+            const first = new TabLeader({channel: bus.channel()});
+            first.start();
+            jasmine.clock().tick(3000);
+            const second = new TabLeader({channel: bus.channel()});
+            second.start();
+            jasmine.clock().tick(3000);
+            expect(first.isLeader).toBe(true);
+
+            // As the page is hidden, and kept in the back-forward cache.
+            first.onPageHide();
+            jasmine.clock().tick(1000);
+            expect(first.isLeader).toBe(false);
+            expect(second.isLeader).toBe(true);
+
+            first.onPageShow();
+            jasmine.clock().tick(5000);
+            expect(first.isLeader).toBe(false);
+            expect(first.leaderId).toEqual(second.id);
+
+            // The channel is still open, so the tab may lead again.
+            second.stop();
+            jasmine.clock().tick(1000);
+            expect(first.isLeader).toBe(true);
+        });
+
+        it('delivers messages to the other tabs', function () {
+            const bus = makeBus();
+            const received = [];
+            const sender = new TabLeader({channel: bus.channel()});
+            const receiver = new TabLeader({
+                channel: bus.channel(),
+                onMessage: function (payload) {
+                    received.push(payload);
+                }
+            });
+            sender.start();
+            receiver.start();
+            sender.post({change: 'loggedout'});
+            expect(received).toEqual([{change: 'loggedout'}]);
+        });
+    });
+});
@@ -0,0 +1,247 @@
+/* global describe, it, expect, beforeEach, spyOn */
+define([
+    'pluginSupport/windowChannel',
+    'pluginSupport/messageSchemas'
+], function (windowChannel, messageSchemas) {
+    const {WindowChannel, TimeoutError, CanceledError, RemoteError} = windowChannel;
+
+    // A window shared by a pair of channels, as for a plugin iframe, which
+    // delivers messages asynchronously to all listeners.
+    function makeWindow() {
+        const listeners = [];
+        const fakeWindow = {
+            postMessage: function (data) {
+                fakeWindow.dispatch({data: data, origin: document.location.origin, source: fakeWindow});
+            },
+            dispatch: function (messageEvent) {
+                window.setTimeout(function () {
+                    listeners.slice().forEach(function (listener) {
+                        listener(messageEvent);
+                    });
+                }, 0);
+            },
+            addEventListener: function (type, listener) {
+                listeners.push(listener);
+            },
+            removeEventListener: function (type, listener) {
+                listeners.splice(listeners.indexOf(listener), 1);
+            }
+        };
+        return fakeWindow;
+    }
+
+    function makeChannels(hostOptions) {
+        const sharedWindow = makeWindow();
+        const host = new WindowChannel(Object.assign({on: sharedWindow}, hostOptions));
+        const plugin = new WindowChannel({on: sharedWindow});
+        host.setPartner(plugin.channelId);
+        plugin.setPartner(host.channelId);
+        host.start();
+        plugin.start();
+        return {host: host, plugin: plugin, window: sharedWindow};
+    }
+
+    describe('WindowChannel requests', function () {
+        let channels;
+        beforeEach(function () {
+            channels = makeChannels();
+        });
+
+        it('resolves with the reply to the request', function (done) {
+            channels.host.handle('get-config', function (payload) {
+                return {path: payload.path, value: 42};
+            });
+            channels.plugin.request('get-config', {path: 'a.b'})
+                .then(function (value) {
+                    expect(value).toEqual({path: 'a.b', value: 42});
+                    expect(Object.keys(channels.plugin.awaitingResponse).length).toEqual(0);
+                    done();
+                });
+        });
+
+        it('rejects with the error replied by the handler', function (done) {
+            channels.host.handle('call-service', function () {
+                const error = new Error('Not allowed');
+                error.code = 'forbidden';
+                return Promise.reject(error);
+            });
+            channels.plugin.request('call-service', {})
+                .catch(function (err) {
+                    expect(err instanceof RemoteError).toBe(true);
+                    expect(err.message).toEqual('Not allowed');
+                    expect(err.code).toEqual('forbidden');
+                    done();
+                });
+        });
+
+        it('rejects a request which has no handler', function (done) {
+            channels.plugin.request('nothing', {})
+                .catch(function (err) {
+                    expect(err.code).toEqual('no-handler');
+                    done();
+                });
+        });
+
+        it('times out a request with no reply', function (done) {
+            channels.host.handle('slow', function () {
+                return new Promise(function () {});
+            });
+            channels.plugin.request('slow', {}, {timeout: 10})
+                .catch(function (err) {
+                    expect(err instanceof TimeoutError).toBe(true);
+                    expect(Object.keys(channels.plugin.awaitingResponse).length).toEqual(0);
+                    done();
+                });
+        });
+
+        it('cancels pending requests when stopped', function (done) {
+            channels.host.request('get-state', {})
+                .catch(function (err) {
+                    expect(err instanceof CanceledError).toBe(true);
+                    done();
+                });
+            channels.host.stop();
+        });
+
+        it('does not deliver replies to listeners', function (done) {
+            let heard = false;
+            channels.host.handle('ping', function () {
+                return 'pong';
+            });
+            channels.plugin.on('ping', function () {
+                heard = true;
+            });
+            channels.plugin.request('ping')
+                .then(function (value) {
+                    expect(value).toEqual('pong');
+                    expect(heard).toBe(false);
+                    done();
+                });
+        });
+    });
+
+    describe('WindowChannel validation', function () {
+        function whenIdle() {
+            return new Promise(function (resolve) {
+                window.setTimeout(resolve, 5);
+            });
+        }
+
+        it('rejects messages from another origin or window', function (done) {
+            const channels = makeChannels();
+            let heard = 0;
+            channels.host.on('set-title', function () {
+                heard += 1;
+            });
+            spyOn(console, 'warn');
+            const message = {
+                envelope: {id: 'x', from: 'evil', to: channels.host.channelId},
+                name: 'set-title',
+                payload: {title: 'hi'}
+            };
+            channels.window.dispatch({data: message, origin: 'https://evil.example.com', source: channels.window});
+            channels.window.dispatch({data: message, origin: document.location.origin, source: {}});
+            channels.window.dispatch({data: message, origin: document.location.origin, source: channels.window});
+            whenIdle().then(function () {
+                expect(heard).toEqual(1);
+                expect(channels.host.stats().rejected.origin).toEqual(1);
+                expect(channels.host.stats().rejected.source).toEqual(1);
+                done();
+            });
+        });
+
+        it('rejects undeclared messages and invalid payloads', function (done) {
+            const channels = makeChannels({
+                schemas: {
+                    'set-title': {
+                        type: 'object',
+                        properties: {title: {type: 'string'}},
+                        required: ['title']
+                    }
+                }
+            });
+            const titles = [];
+            channels.host.on('set-title', function (payload) {
+                titles.push(payload.title);
+            });
+            spyOn(console, 'warn');
+            channels.plugin.send('set-title', {title: 'ok'});
+            channels.plugin.send('set-title', {title: 42});
+            channels.plugin.send('ui-auth-navigate', {});
+            whenIdle().then(function () {
+                const rejected = channels.host.stats().rejected;
+                expect(titles).toEqual(['ok']);
+                expect(rejected['invalid-payload']).toEqual(1);
+                expect(rejected['unknown-message']).toEqual(1);
+                // The plugin channel also hears, and ignores, the messages it
+                // sent.
+                expect(channels.plugin.stats().rejected.recipient).toEqual(3);
+                done();
+            });
+        });
+
+        it('accepts plugin messages according to the message schemas', function (done) {
+            const channels = makeChannels({schemas: messageSchemas});
+            const heard = [];
+            channels.host.on('get-config', function (payload) {
+                heard.push(['get-config', payload]);
+            });
+            channels.host.on('open-window', function (payload) {
+                heard.push(['open-window', payload.url]);
+            });
+            channels.host.on('post-form', function (payload) {
+                heard.push(['post-form', payload.action]);
+            });
+            spyOn(console, 'warn');
+            channels.plugin.send('get-config');
+            channels.plugin.send('get-config', {path: 'deploy.environment'});
+            channels.plugin.send('open-window', {url: '/#narrativemanager/start'});
+            channels.plugin.send('open-window', {url: 'https://kbase.us/'});
+            channels.plugin.send('open-window', {url: 'http://kbase.us/'});
+            channels.plugin.send('open-window', {url: '//evil.example.com/'});
+            channels.plugin.send('open-window', {url: 'javascript:alert(1)'});
+            channels.plugin.send('post-form', {action: 'https://ci.kbase.us/services/auth/login', params: {}});
+            channels.plugin.send('post-form', {action: '/login', params: {}});
+            channels.plugin.send('post-form', {action: 'http://ci.kbase.us/services/auth/login', params: {}});
+            channels.plugin.send('post-form', {action: '//evil.example.com/', params: {}});
+            whenIdle().then(function () {
+                expect(heard).toEqual([
+                    ['get-config', undefined],
+                    ['get-config', {path: 'deploy.environment'}],
+                    ['open-window', '/#narrativemanager/start'],
+                    ['open-window', 'https://kbase.us/'],
+                    ['open-window', 'http://kbase.us/'],
+                    ['post-form', 'https://ci.kbase.us/services/auth/login'],
+                    ['post-form', '/login']
+                ]);
+                expect(channels.host.stats().rejected['invalid-payload']).toEqual(4);
+                done();
+            });
+        });
+
+        it('rejects invalid plugin sizes and scroll offsets', function (done) {
+            const channels = makeChannels({schemas: messageSchemas});
+            const heard = [];
+            channels.host.on('resize', function (payload) {
+                heard.push(['resize', payload.height]);
+            });
+            channels.host.on('scroll-to', function (payload) {
+                heard.push(['scroll-to', payload.top]);
+            });
+            spyOn(console, 'warn');
+            channels.plugin.send('resize', {height: 320.5});
+            channels.plugin.send('resize', {height: -1});
+            channels.plugin.send('resize', {height: 'tall'});
+            channels.plugin.send('resize', {height: Infinity});
+            channels.plugin.send('resize', {});
+            channels.plugin.send('scroll-to', {top: 0});
+            channels.plugin.send('scroll-to', {top: -10});
+            channels.plugin.send('scroll-to', {top: 10, behavior: 'instant'});
+            whenIdle().then(function () {
+                expect(heard).toEqual([['resize', 320.5], ['scroll-to', 0]]);
+                expect(channels.host.stats().rejected['invalid-payload']).toEqual(6);
+                done();
+            });
+        });
+    });
+});